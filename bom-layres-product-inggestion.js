@@ -1,52 +1,61 @@
 import dotenv from "dotenv"
 import fs from "fs"
 import path from "path"
-import crypto from "crypto"
-import { createWriteStream } from "fs"
-import { pipeline } from "stream/promises"
-import {
-  TextractClient,
-  StartDocumentAnalysisCommand,
-  GetDocumentAnalysisCommand
-} from "@aws-sdk/client-textract"
+import { TextractClient } from "@aws-sdk/client-textract"
 import {
   S3Client,
-  ListObjectsV2Command,
-  GetObjectCommand,
+  HeadObjectCommand,
   PutObjectCommand
 } from "@aws-sdk/client-s3"
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner"
-import { MongoClient, ObjectId } from "mongodb"
-import OpenAI from "openai"
-import pdfParse from "pdf-parse"
+import { ObjectId } from "mongodb"
+import { connectDB, getDB, closeDB, INGEST_DB_NAME } from "./db.js"
+import {
+  productSchema,
+  pdfExtractSchema,
+  validateDocument,
+  formatValidationErrors,
+  recordRejection,
+  REJECTED_COLLECTION
+} from "./schemas.js"
+import { planExtraction, linkVersion, ensureExtractIndexes } from "./pdf-versions.js"
+import { createMatcherProvider, guardMatchedProduct, productMatchSchema } from "./llm-matcher.js"
+import { createExtractionBackend, extractPagesData, computeCoverage } from "./pdf-extraction.js"
+import { normalizeProductData, upsertProduct, ensureProductIndexes, CONFLICTS_COLLECTION } from "./product-store.js"
+import { extractPdfImages, imageFilterConfig } from "./pdf-images.js"
+import { createPagePreviews, createPreviewStore, previewConfig } from "./pdf-page-previews.js"
+import { listingConfig, filterKeys, createRunManifest, RUNS_COLLECTION, RUN_ITEMS_COLLECTION } from "./s3-listing.js"
+import { createPdfSource } from "./pdf-sources.js"
 
 dotenv.config()
 
 // ---------------- CONFIG ----------------
-const BUCKET_NAME = "roworks-pdf-extract"
-const S3_PREFIX = "uploads/"
+// Bucket, prefix and include/exclude globs: --bucket/--prefix/--include/--exclude or PDF_S3_* env.
+// --dir / PDF_SOURCE_DIR reads a local directory instead
+const LISTING = listingConfig()
 const AWS_REGION = process.env.AWS_REGION
-const MONGO_URI = process.env.MONGO_URI
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o"
 const IMAGE_S3_BUCKET = process.env.IMAGE_S3_BUCKET || "roworks-robot-catalog-bucket"
-
-// Validate required environment variables
-if (!OPENAI_API_KEY) {
-  console.error("❌ OPENAI_API_KEY is required")
+const IMAGE_FILTERS = imageFilterConfig()
+const PAGE_PREVIEWS = previewConfig()
+
+// Without AWS_REGION the script runs offline: a local directory, the local extraction
+// backend and local page previews. Product images are then left out
+const EXTRACTION_BACKEND = process.env.PDF_EXTRACTION_BACKEND || "textract"
+if (LISTING.dir && EXTRACTION_BACKEND === "textract") {
+  console.error("❌ Textract reads PDFs from S3; use PDF_EXTRACTION_BACKEND=local with --dir")
   process.exit(1)
 }
-if (!AWS_REGION) {
-  console.error("❌ AWS_REGION is required")
-  process.exit(1)
-}
-if (!MONGO_URI) {
-  console.error("❌ MONGO_URI is required")
+if (!AWS_REGION && (!LISTING.dir || PAGE_PREVIEWS.storage === "s3")) {
+  console.error("❌ AWS_REGION is required, unless PDFs come from --dir with PDF_EXTRACTION_BACKEND=local and PAGE_PREVIEW_STORAGE=local")
   process.exit(1)
 }
 
 const BATCH_SIZE = 3
 const POLL_INTERVAL = 3000
+const LLM_CHUNK_MAX_CHARS = parseInt(process.env.LLM_CHUNK_MAX_CHARS) || 12000
+const LLM_CHUNK_MAX_PAGES = parseInt(process.env.LLM_CHUNK_MAX_PAGES) || 5
+
+// --reprocess re-runs matching on stored pagesData instead of extracting new PDFs
+const REPROCESS = process.argv.includes("--reprocess")
 
 // ---------------- LOGGER ----------------
 const log = {
@@ -57,24 +66,41 @@ const log = {
 }
 
 // ---------------- CLIENTS ----------------
-const textract = new TextractClient({ 
+const textract = AWS_REGION ? new TextractClient({ 
   region: AWS_REGION,
   credentials: {
     accessKeyId: process.env.AWS_ACCESS_KEY,
     secretAccessKey: process.env.AWS_SECRET_KEY
   }
-})
-const s3 = new S3Client({ 
+}) : null
+const s3 = AWS_REGION ? new S3Client({ 
   region: AWS_REGION,
   credentials: {
     accessKeyId: process.env.AWS_ACCESS_KEY,
     secretAccessKey: process.env.AWS_SECRET_KEY
   }
+}) : null
+const extractor = createExtractionBackend(EXTRACTION_BACKEND, {
+  textract,
+  s3,
+  pollInterval: POLL_INTERVAL
 })
-const mongo = new MongoClient(MONGO_URI)
-const openai = new OpenAI({
-  apiKey: OPENAI_API_KEY
-})
+const previewStore = createPreviewStore({ s3, ...PAGE_PREVIEWS })
+const source = createPdfSource(LISTING, { s3 })
+const BUCKET_NAME = source.bucket
+
+if (!s3) {
+  console.log("⚠️  AWS_REGION is not set, product images will not be uploaded")
+}
+
+let matcher
+try {
+  matcher = createMatcherProvider()
+  log.info(`Product matcher: ${matcher.name}${matcher.model ? ` (${matcher.model})` : ""}`)
+} catch (err) {
+  log.error(err.message)
+  process.exit(1)
+}
 
 // ---------------- LOAD MANIFEST ----------------
 let manifest
@@ -100,60 +126,133 @@ try {
   process.exit(1)
 }
 
-// ---------------- HELPERS ----------------
-const sleep = ms => new Promise(r => setTimeout(r, ms))
+// ---------------- PAGE CHUNKING ----------------
+// Long catalogs are matched a few pages at a time so the prompt stays inside the
+// context window and every product can be tied to a page marker
+function pageHeader(page, part) {
+  return part ? `=== Page ${page} (part ${part}) ===` : `=== Page ${page} ===`
+}
+
+// Consecutive pages, up to LLM_CHUNK_MAX_PAGES pages or LLM_CHUNK_MAX_CHARS characters.
+// A single page over the character limit is split into parts of its own
+function chunkPages(pagesData) {
+  const chunks = []
+  let current = { pages: [], sections: [], length: 0 }
+
+  const flush = () => {
+    if (current.sections.length > 0) {
+      chunks.push({ pages: current.pages, text: current.sections.join("\n\n") })
+    }
+    current = { pages: [], sections: [], length: 0 }
+  }
 
-function extractText(blocks) {
-  return blocks
-    .filter(b => b.BlockType === "LINE")
-    .map(b => b.Text)
-    .join("\n")
+  for (const { page, text } of pagesData) {
+    if (!text || !text.trim()) continue
+
+    if (text.length > LLM_CHUNK_MAX_CHARS) {
+      flush()
+      const parts = Math.ceil(text.length / LLM_CHUNK_MAX_CHARS)
+      for (let part = 0; part < parts; part++) {
+        const slice = text.slice(part * LLM_CHUNK_MAX_CHARS, (part + 1) * LLM_CHUNK_MAX_CHARS)
+        chunks.push({ pages: [page], text: `${pageHeader(page, part + 1)}\n${slice}` })
+      }
+      continue
+    }
+
+    if (current.pages.length >= LLM_CHUNK_MAX_PAGES || current.length + text.length > LLM_CHUNK_MAX_CHARS) {
+      flush()
+    }
+    current.pages.push(page)
+    current.sections.push(`${pageHeader(page)}\n${text}`)
+    current.length += text.length
+  }
+  flush()
+
+  return chunks
 }
 
-async function getS3PresignedUrl(s3Client, bucket, key) {
-  // Generate a presigned URL valid for 7 days (604800 seconds)
-  const command = new GetObjectCommand({
-    Bucket: bucket,
-    Key: key
+// Manifest vendors worth sending with a chunk: the vendor is named in the text,
+// or the first word of one of its items is
+function relevantVendors(text, manifest) {
+  const lowerText = text.toLowerCase()
+
+  return manifest.vendors.filter(vendor => {
+    if (vendor.vendor_name && lowerText.includes(vendor.vendor_name.toLowerCase())) return true
+    return vendor.product_groups.some(group => group.items.some(item => {
+      const keyword = item.replace(/[()]/g, "").split(" ")[0].toLowerCase()
+      return keyword.length > 2 && lowerText.includes(keyword)
+    }))
   })
-  return await getSignedUrl(s3Client, command, { expiresIn: 604800 })
 }
 
-// ---------------- TEXT EXTRACTION PER PAGE ----------------
-function extractTextByPage(blocks) {
-  const pages = {}
-  
-  for (const block of blocks) {
-    if (block.BlockType === "LINE" && block.Page !== undefined) {
-      const pageNum = block.Page
-      if (!pages[pageNum]) {
-        pages[pageNum] = []
+// The page a product was matched on must be one of the chunk's pages; otherwise
+// take the chunk page whose text names the product, or the chunk's first page
+function resolvePage(product, chunk, pagesData) {
+  const page = parseInt(product.page)
+  if (chunk.pages.includes(page)) return page
+
+  const name = String(product.name || "").toLowerCase()
+  const named = chunk.pages.find(p =>
+    name && pagesData.find(data => data.page === p)?.text.toLowerCase().includes(name)
+  )
+  return named ?? chunk.pages[0]
+}
+
+const productKey = product => `${product.brand}|${product.name}`.toLowerCase().replace(/[^a-z0-9|]/g, "")
+
+// Match every chunk and merge the results; a product seen in several chunks keeps
+// its first page and picks up a price from a later chunk if it had none
+async function matchProductsInPages(pagesData, manifest) {
+  const chunks = chunkPages(pagesData)
+  const merged = new Map()
+  // Kept for the hallucination guard to reject with a reason
+  const unnamed = []
+  log.info(`Matching ${pagesData.length} page(s) in ${chunks.length} chunk(s)`)
+
+  for (const [idx, chunk] of chunks.entries()) {
+    const vendors = relevantVendors(chunk.text, manifest)
+    const pageRange = `${chunk.pages[0]}-${chunk.pages[chunk.pages.length - 1]}`
+    if (vendors.length === 0) {
+      log.info(`Chunk ${idx + 1}/${chunks.length} (pages ${pageRange}): no manifest vendors mentioned, skipping`)
+      continue
+    }
+
+    log.info(`Chunk ${idx + 1}/${chunks.length} (pages ${pageRange}): ${vendors.length} candidate vendor(s)`)
+    const products = await matchChunkProducts(chunk, { ...manifest, vendors })
+
+    for (const product of products) {
+      const page = resolvePage(product, chunk, pagesData)
+      if (!product.name || !product.brand) {
+        unnamed.push({ ...product, page })
+        continue
+      }
+      const key = productKey(product)
+      const existing = merged.get(key)
+
+      if (!existing) {
+        merged.set(key, { ...product, page })
+      } else if ((existing.price === null || existing.price === undefined) && product.price !== null && product.price !== undefined) {
+        existing.price = product.price
       }
-      pages[pageNum].push(block.Text)
     }
   }
-  
-  return Object.keys(pages).map(pageNum => ({
-    page: parseInt(pageNum),
-    text: pages[pageNum].join("\n")
-  }))
+
+  return [...merged.values(), ...unnamed]
 }
 
-// ---------------- OPENAI PRODUCT MATCHING ----------------
-async function matchProductsWithOpenAI(extractedText, manifest, retryCount = 0) {
-  const MAX_RETRIES = 3
-  
-  try {
-    if (!extractedText || extractedText.trim().length === 0) {
-      log.warn("Empty text provided to OpenAI matching")
-      return []
-    }
+// ---------------- PRODUCT MATCHING ----------------
+const PDF_MATCH_SCHEMA = productMatchSchema({ page: { type: "integer" } })
 
-    log.info("Sending full extracted text and manifest to OpenAI for product matching...")
-    
-    const prompt = `You are an expert at identifying industrial automation products from PDF documents.
+async function matchChunkProducts(chunk, manifest) {
+  if (!chunk.text || chunk.text.trim().length === 0) {
+    log.warn("Empty text provided to product matching")
+    return []
+  }
+
+  const prompt = `You are an expert at identifying industrial automation products from PDF documents.
 
 Analyze the following extracted text from a PDF document and match it against the provided product manifest.
+The text covers pages ${chunk.pages.join(", ")}; each page starts with a "=== Page N ===" marker.
 
 Your task:
 1. Identify exact product matches from the manifest that appear in the PDF text
@@ -164,7 +263,7 @@ Manifest structure:
 ${JSON.stringify(manifest, null, 2)}
 
 Extracted PDF text:
-${extractedText}
+${chunk.text}
 
 Return a JSON object with a "products" array containing matched products. Each product should have this structure:
 {
@@ -176,7 +275,7 @@ Return a JSON object with a "products" array containing matched products. Each p
       "sub_type": "specific item from manifest or null",
       "bom_layer": "bom_layer from manifest",
       "vendor_name": "vendor_name from manifest",
-      "page": page number where found (if known, else null),
+      "page": number N of the "=== Page N ===" marker the product appears under (one of ${chunk.pages.join(", ")}),
       "price": numeric price value if found in PDF (e.g., 123.45), or null if not found
     }
   ]
@@ -185,161 +284,65 @@ Return a JSON object with a "products" array containing matched products. Each p
 Only return products that have a clear match. Return {"products": []} if no matches are found.
 Return ONLY valid JSON, no additional text or markdown.`
 
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        {
-          role: "system",
-          content: "You are a precise product matching assistant. Always return valid JSON with a 'products' array."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.1,
-      max_tokens: 4000
-    })
+  return matcher.matchProducts({ prompt, schema: PDF_MATCH_SCHEMA, text: chunk.text, manifest })
+}
 
-    const content = completion.choices[0]?.message?.content
-    if (!content) {
-      log.warn("OpenAI returned empty response")
-      return []
-    }
+// ---------------- IMAGE EXTRACTION ----------------
+async function extractImagesFromPDF(pdfBuffer, pageCount) {
+  // Images are only kept as S3 objects
+  if (!s3) return []
 
-    // Try to parse the response
-    let parsed
-    try {
-      parsed = JSON.parse(content)
-      // Handle case where OpenAI returns { products: [...] } or just the array
-      if (Array.isArray(parsed)) {
-        return parsed
-      } else if (parsed.products && Array.isArray(parsed.products)) {
-        return parsed.products
-      } else if (parsed.matches && Array.isArray(parsed.matches)) {
-        return parsed.matches
-      } else {
-        // Try to find any array in the response
-        const arrayKeys = Object.keys(parsed).filter(k => Array.isArray(parsed[k]))
-        if (arrayKeys.length > 0) {
-          return parsed[arrayKeys[0]]
-        }
-        log.warn("OpenAI response doesn't contain expected array structure")
-        return []
-      }
-    } catch (parseError) {
-      log.error(`Failed to parse OpenAI response: ${parseError.message}`)
-      log.error(`Response content: ${content.substring(0, 500)}`)
-      return []
-    }
+  try {
+    // Errors here are about this PDF; pdfjs itself is loaded with the script
+    const { images, dropped } = await extractPdfImages(pdfBuffer, IMAGE_FILTERS)
+    log.info(`Extracted ${images.length} distinct image(s) from ${pageCount} page(s), dropped ${dropped.small} small, ${dropped.blocklisted} blocklisted, ${dropped.unsupported} unsupported`)
+    return images
   } catch (error) {
-    // Handle rate limiting
-    if (error.status === 429) {
-      const retryAfter = error.headers?.['retry-after'] || 60
-      log.warn(`OpenAI rate limit hit, waiting ${retryAfter} seconds...`)
-      await sleep(retryAfter * 1000)
-      if (retryCount < MAX_RETRIES) {
-        return await matchProductsWithOpenAI(extractedText, manifest, retryCount + 1)
-      }
-      log.error("Max retries reached for rate limit")
-      return []
-    } 
-    // Handle server errors
-    else if (error.status === 500 || error.status === 503) {
-      log.warn(`OpenAI server error (${error.status}), retrying in 10 seconds...`)
-      await sleep(10000)
-      if (retryCount < MAX_RETRIES) {
-        return await matchProductsWithOpenAI(extractedText, manifest, retryCount + 1)
-      }
-      log.error("Max retries reached for server error")
-      return []
-    }
-    // Handle other errors
-    else {
-      log.error(`OpenAI API error: ${error.message}`)
-      if (error.status) {
-        log.error(`Status code: ${error.status}`)
-      }
-      return []
-    }
+    log.error(`Image extraction error: ${error.message}`)
+    return []
   }
 }
 
-// ---------------- IMAGE EXTRACTION ----------------
-async function downloadPDFFromS3(fileKey, localPath) {
+// Thumbnail and preview per page; a PDF whose pages can't be rendered is still ingested
+async function renderPagePreviews(pdfBuffer, pdfId) {
   try {
-    const command = new GetObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: fileKey
+    const previews = await createPagePreviews(pdfBuffer, {
+      ...PAGE_PREVIEWS,
+      store: previewStore,
+      pdfId,
+      onError: (page, error) => log.warn(`Failed to render page ${page}: ${error.message}`)
     })
-    
-    const response = await s3.send(command)
-    const writeStream = createWriteStream(localPath)
-    
-    await pipeline(response.Body, writeStream)
-    log.info(`Downloaded PDF to ${localPath}`)
-    return true
+    log.info(`Rendered previews for ${previews.size} page(s) (${previewStore.storage})`)
+    return previews
   } catch (error) {
-    log.error(`Failed to download PDF: ${error.message}`)
-    return false
+    log.error(`Page preview error: ${error.message}`)
+    return new Map()
   }
 }
 
-async function extractImagesFromPDF(fileKey, pageCount) {
-  const tempDir = path.join(process.cwd(), "temp")
-  if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true })
+// Images are stored once per content hash: catalog/images/sha256/<hash>.png. An object
+// that is already there (from another product or an earlier run) isn't uploaded again
+async function uploadImageToS3(imageBuffer, sha256, extension = ".png") {
+  const s3Key = `catalog/images/sha256/${sha256}${extension}`
+  const asset = {
+    bucket: IMAGE_S3_BUCKET,
+    key: s3Key,
+    sha256,
+    size_bytes: imageBuffer.length,
+    source_url: null
   }
-  
-  const fileName = fileKey.split("/").pop()
-  const localPdfPath = path.join(tempDir, fileName)
-  const images = []
-  
+
   try {
-    // Download PDF from S3
-    const downloaded = await downloadPDFFromS3(fileKey, localPdfPath)
-    if (!downloaded) {
-      log.warn("Failed to download PDF for image extraction")
-      return images
-    }
-    
-    // Read PDF buffer
-    const pdfBuffer = fs.readFileSync(localPdfPath)
-    const pdfData = await pdfParse(pdfBuffer)
-    
-    // Note: pdf-parse doesn't directly extract images, but we can get page info
-    // For actual image extraction, we'd need pdf-lib or another library
-    // For now, we'll return page metadata and handle images separately if needed
-    
-    log.info(`PDF parsed: ${pdfData.numpages} pages (expected ${pageCount})`)
-    
-    // Clean up temp file
-    if (fs.existsSync(localPdfPath)) {
-      fs.unlinkSync(localPdfPath)
-    }
-    
-    return images
+    await s3.send(new HeadObjectCommand({ Bucket: IMAGE_S3_BUCKET, Key: s3Key }))
+    return asset
   } catch (error) {
-    log.error(`Image extraction error: ${error.message}`)
-    // Clean up temp file if it exists
-    if (fs.existsSync(localPdfPath)) {
-      try {
-        fs.unlinkSync(localPdfPath)
-      } catch (unlinkError) {
-        log.warn(`Failed to clean up temp file: ${unlinkError.message}`)
-      }
+    if (error.name !== "NotFound" && error.$metadata?.httpStatusCode !== 404) {
+      log.error(`Failed to check image in S3: ${error.message}`)
+      return null
     }
-    return images
   }
-}
 
-async function uploadImageToS3(imageBuffer, productId, pageNumber, fileName) {
   try {
-    const hash = crypto.createHash("sha256").update(imageBuffer).digest("hex")
-    const extension = path.extname(fileName) || ".png"
-    const s3Key = `catalog/images/${productId}/image/${pageNumber}/${hash}/${fileName}${extension}`
-    
     const command = new PutObjectCommand({
       Bucket: IMAGE_S3_BUCKET,
       Key: s3Key,
@@ -349,19 +352,48 @@ async function uploadImageToS3(imageBuffer, productId, pageNumber, fileName) {
     
     await s3.send(command)
     
-    return {
-      bucket: IMAGE_S3_BUCKET,
-      key: s3Key,
-      sha256: hash,
-      size_bytes: imageBuffer.length,
-      source_url: null
-    }
+    return asset
   } catch (error) {
     log.error(`Failed to upload image to S3: ${error.message}`)
     return null
   }
 }
 
+// One upload per image per run, however many products share it
+const uploadedImages = new Map()
+
+function uploadImageOnce(image) {
+  if (!uploadedImages.has(image.sha256)) {
+    const upload = uploadImageToS3(image.buffer, image.sha256).then(asset => {
+      if (!asset) uploadedImages.delete(image.sha256)
+      return asset
+    })
+    uploadedImages.set(image.sha256, upload)
+  }
+  return uploadedImages.get(image.sha256)
+}
+
+// Add the images of a product's page to its assets. Images the product already has
+// are neither uploaded nor pushed again
+async function attachPageImages(productCollection, productId, page, images) {
+  const product = await productCollection.findOne({ _id: productId }, { projection: { "assets.sha256": 1 } })
+  const existing = new Set((product?.assets || []).map(asset => asset.sha256))
+  let attached = 0
+
+  for (const image of images.filter(img => img.pages.includes(page) && !existing.has(img.sha256))) {
+    const asset = await uploadImageOnce(image)
+    if (!asset) continue
+
+    const result = await productCollection.updateOne(
+      { _id: productId, "assets.sha256": { $ne: asset.sha256 } },
+      { $push: { assets: { ...asset, page, width: image.width, height: image.height } } }
+    )
+    attached += result.modifiedCount
+  }
+
+  return attached
+}
+
 // ---------------- PRICE EXTRACTION ----------------
 function extractPrice(text, productName) {
   if (!text || typeof text !== 'string') {
@@ -438,302 +470,357 @@ function extractPrice(text, productName) {
   return null
 }
 
-// ---------------- DATA NORMALIZATION ----------------
-function normalizeProductData(product) {
-  const brandNorm = (product.brand || "").toLowerCase().trim()
-  const nameNorm = (product.name || "").toLowerCase().trim()
-  
-  // Tokenize name (split by spaces, hyphens, underscores, etc.)
-  const nameTokens = nameNorm
-    .split(/[\s\-_]+/)
-    .filter(token => token.length > 0)
-  
-  // Generate aliases (variations of the name)
-  const aliases = []
-  if (nameNorm) {
-    aliases.push(nameNorm)
-    // Add version without spaces
-    aliases.push(nameNorm.replace(/\s+/g, ""))
-    // Add version with hyphens
-    aliases.push(nameNorm.replace(/\s+/g, "-"))
-    // Add version with underscores
-    aliases.push(nameNorm.replace(/\s+/g, "_"))
-    // Add product type combinations
-    if (product.product_type) {
-      aliases.push(`${nameNorm} ${product.product_type.toLowerCase()}`)
-    }
-  }
-  
-  // Remove duplicates
-  const uniqueAliases = [...new Set(aliases)]
-  
-  return {
-    brand_norm: brandNorm,
-    name_norm: nameNorm,
-    name_tokens: nameTokens,
-    aliases: uniqueAliases
-  }
+// ---------------- SPEC TABLE LOOKUP ----------------
+const TABLE_COLUMNS = {
+  part_number: /part\s*(no|number|#)|p\/n|sku|article|order\s*(no|code|number)|catalog\s*(no|number)/i,
+  price: /price|cost|amount/i,
+  quantity: /^\s*(qty|quantity)\b/i
 }
 
-// ---------------- MANIFEST INGESTION LOGIC ----------------
-function ingestUsingManifest(text) {
-  log.info("Starting manifest-based ingestion")
+const compactText = value => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "")
 
-  const lowerText = text.toLowerCase()
-  const ingestedVendors = []
-
-  for (const vendor of manifest.vendors) {
-    const vendorName = vendor.vendor_name
-    const vendorResult = {
-      vendor_name: vendorName,
-      product_groups: []
-    }
-
-    log.info(`Checking vendor: ${vendorName}`)
+// Only a cell that is a price ("$12,500.00", "1.250,00 EUR"); a cell that merely starts
+// with digits ("3HAC-1100 ...") is not one
+function parseTablePrice(cell) {
+  const cleaned = String(cell || "").replace(/[$€£¥\s]|USD|EUR|GBP/gi, "").replace(/[.,](?=\d{3}\b)/g, "").replace(",", ".")
+  if (!/^\d+(?:\.\d+)?$/.test(cleaned)) return null
+  const price = parseFloat(cleaned)
+  return price > 0 && price < 1000000 ? price : null
+}
 
-    for (const group of vendor.product_groups) {
-      const matchedItems = []
+// Header row: the first row naming at least one of the known columns. A row with a
+// single filled cell is a title ("ABB price list") spanning the table, not a header
+function tableColumns(rows) {
+  for (const [rowIndex, row] of rows.entries()) {
+    if (row.filter(cell => String(cell || "").trim()).length < 2) continue
+    const columns = {}
+    row.forEach((cell, idx) => {
+      for (const [field, pattern] of Object.entries(TABLE_COLUMNS)) {
+        if (columns[field] === undefined && pattern.test(cell)) columns[field] = idx
+      }
+    })
+    if (Object.keys(columns).length > 0) return { headerIndex: rowIndex, columns }
+  }
+  return null
+}
 
-      for (const item of group.items) {
-        // Basic keyword detection (first meaningful word)
-        const keyword = item
-          .replace(/[()]/g, "")
-          .split(" ")[0]
-          .toLowerCase()
+// Find the row naming the product in the page's tables and read its part number,
+// price and quantity columns
+function findProductInTables(tables, productName) {
+  const name = compactText(productName)
+  if (!name) return null
 
-        if (lowerText.includes(keyword)) {
-          log.success(
-            `Matched → Vendor: ${vendorName}, Group: ${group.product_group}, Item: ${item}`
-          )
-          matchedItems.push(item)
-        }
-      }
+  for (const table of tables) {
+    const header = tableColumns(table.rows)
+    if (!header) continue
 
-      if (matchedItems.length > 0) {
-        vendorResult.product_groups.push({
-          product_group: group.product_group,
-          bom_layer: group.bom_layer,
-          items: matchedItems
-        })
-      }
-    }
+    const row = table.rows.slice(header.headerIndex + 1)
+      .find(cells => cells.some(cell => compactText(cell).includes(name)))
+    if (!row) continue
 
-    if (vendorResult.product_groups.length > 0) {
-      ingestedVendors.push(vendorResult)
-      log.success(`Vendor ingested: ${vendorName}`)
-    } else {
-      log.warn(`No matches found for vendor: ${vendorName}`)
+    const { part_number, price, quantity } = header.columns
+    const quantityValue = quantity !== undefined ? parseInt(row[quantity]) : NaN
+    return {
+      part_number: part_number !== undefined ? row[part_number] || null : null,
+      price: price !== undefined ? parseTablePrice(row[price]) : null,
+      quantity: isNaN(quantityValue) ? null : quantityValue,
+      header: table.rows[header.headerIndex],
+      cells: row
     }
   }
 
-  return ingestedVendors
+  return null
 }
 
 // ---------------- LIST PDF FILES ----------------
-async function listPDFFiles() {
-  const command = new ListObjectsV2Command({
-    Bucket: BUCKET_NAME,
-    Prefix: S3_PREFIX
-  })
-
-  const response = await s3.send(command)
+// Every key in the source, then the include/exclude globs. Filtered keys go
+// into the run manifest as skipped
+async function listPDFFiles(runManifest) {
+  const { keys, description } = await source.list()
+  log.info(`Listed ${keys.length} file(s) under ${description}`)
+
+  const { selected, filtered } = filterKeys(keys, LISTING)
+  await runManifest.listed(keys)
+  for (const { key, reason } of filtered) {
+    await runManifest.skipped(key, reason)
+  }
 
-  return (response.Contents || [])
-    .map(obj => obj.Key)
-    .filter(key => key.toLowerCase().endsWith(".pdf"))
+  return selected
 }
 
-// ---------------- TEXTRACT ASYNC ----------------
-async function runTextract(fileKey) {
-  log.info(`Starting Textract job for ${fileKey}`)
-
-  const start = await textract.send(
-    new StartDocumentAnalysisCommand({
-      DocumentLocation: {
-        S3Object: { Bucket: BUCKET_NAME, Name: fileKey }
-      },
-      FeatureTypes: ["TABLES", "FORMS"]
-    })
-  )
-
-  const jobId = start.JobId
-  let status = "IN_PROGRESS"
-  let result
+// ---------------- SAVE MATCHED PRODUCTS ----------------
+// Shared by fresh extractions and --reprocess runs over stored pagesData. Images only
+// come with fresh extractions; reprocessing leaves existing assets as they are
+async function saveMatchedProducts(pdfExtract, matchedProducts, productCollection, rejectedCollection, conflictCollection, images = []) {
+  const { fileName, s3Key: fileKey, bucket, pagesData } = pdfExtract
+  const combinedText = pdfExtract.extractedText ?? pagesData.map(p => p.text).join("\n\n")
+
+  // Process each matched product and merge it into the products collection
+  let savedCount = 0
+  let updatedCount = 0
+  let failedCount = 0
+  let conflictCount = 0
+  let rejectedCount = 0
+  let assetCount = 0
+  
+  for (const match of matchedProducts) {
+    try {
+      // Determine which page this product was found on
+      const productPage = match.page || (pagesData.length > 0 ? pagesData[0].page : 1)
+
+      const pageData = pagesData.find(p => p.page === productPage)
+
+      // Reject matches the manifest or the cited page doesn't back up
+      const guard = guardMatchedProduct(match, manifest, { pageText: pageData?.text || "" })
+      if (!guard.success) {
+        await recordRejection(rejectedCollection, {
+          target: "products",
+          source: "pdf_extract",
+          fileName,
+          document: match,
+          errors: guard.errors,
+          reason: guard.reason
+        })
+        log.warn(`Rejected match ${match.name || "unknown"}: ${formatValidationErrors(guard.errors)}`)
+        rejectedCount++
+        continue
+      }
+      const product = guard.data
+
+      // Generate normalized fields
+      const normFields = normalizeProductData(product)
+      const pageText = pageData?.text || combinedText
+
+      // A spec table row naming the product is the most reliable price and part number
+      const pageTables = pageData?.tables || []
+      const tableRow = findProductInTables(pageTables, product.name)
+
+      // Extract price from the table row, the matcher's answer or the page text.
+      // Fields read from the table are ranked as datasheet_table by the merge policy
+      let price = null
+      const tableFields = []
+      if (tableRow?.price !== null && tableRow?.price !== undefined) {
+        price = tableRow.price
+        tableFields.push("price")
+      } else if (product.price !== undefined && product.price !== null) {
+        // If the matcher returned a price, use it
+        price = typeof product.price === 'number' ? product.price : parseFloat(product.price)
+        if (isNaN(price)) {
+          price = null
+        }
+      } else {
+        // Try to extract price from the page text
+        price = extractPrice(pageText, product.name)
+      }
+      if (tableRow?.part_number) tableFields.push("part_number")
+
+      // Create product document
+      const productDoc = {
+        name: product.name,
+        brand: product.brand,
+        product_type: product.product_type || null,
+        sub_type: product.sub_type || null,
+        bom_layer: product.bom_layer || null,
+        price: price,
+        si: "registered",
+        // Only where the PDF lives; links are signed on request by the API
+        s3Bucket: bucket,
+        s3Key: fileKey,
+        part_number: tableRow?.part_number || null,
+        source_refs: [{
+          source: "pdf_extract",
+          collection: "pdfExtracts",
+          source_id: pdfExtract._id,
+          page: productPage,
+          fileName: fileName,
+          filePath: null,
+          componentType: null,
+          ...(tableFields.length > 0 && { method: "table", table_fields: tableFields }),
+          // Rendered thumbnail and preview of the cited page, so a UI can show it beside the product
+          previews: pageData?.previews || null
+        }],
+        raw: {
+          extractedText: pageText,
+          page: productPage,
+          fileName: fileName,
+          s3Key: fileKey,
+          tableRow: tableRow || null
+        },
+        assets: [],
+        _norm: normFields,
+        created_at: new Date(),
+        updated_at: new Date()
+      }
 
-  while (status === "IN_PROGRESS") {
-    await sleep(POLL_INTERVAL)
+      const validation = validateDocument(productSchema, productDoc)
+      if (!validation.success) {
+        await recordRejection(rejectedCollection, {
+          target: "products",
+          source: "pdf_extract",
+          fileName,
+          document: productDoc,
+          errors: validation.errors
+        })
+        log.warn(`Rejected product ${product.name}: ${formatValidationErrors(validation.errors)}`)
+        failedCount++
+        continue
+      }
 
-    result = await textract.send(
-      new GetDocumentAnalysisCommand({ JobId: jobId })
-    )
+      // Upsert product document into products collection
+      log.info(`Upserting product: ${product.name} (${product.brand}) into products collection...`)
+      const result = await upsertProduct(productCollection, validation.data, { conflictCollection })
+      
+      if (result.inserted) {
+        savedCount++
+      } else if (result.updated) {
+        updatedCount++
+      }
+      conflictCount += result.conflicts
 
-    status = result.JobStatus
-    log.info(`Textract status: ${status}`)
+      if (images.length > 0) {
+        assetCount += await attachPageImages(productCollection, result.id, productPage, images)
+      }
+    } catch (productError) {
+      failedCount++
+      log.error(`Failed to save product ${match.name || "unknown"}: ${productError.message}`)
+      if (productError.stack) {
+        log.error(`Stack trace: ${productError.stack}`)
+      }
+      // Continue with next product
+    }
   }
 
-  if (status !== "SUCCEEDED") {
-    throw new Error("Textract failed")
+  if (savedCount > 0) {
+    log.success(`Successfully inserted ${savedCount} new product(s) from ${fileName}`)
+  }
+  if (updatedCount > 0) {
+    log.success(`Successfully updated ${updatedCount} existing product(s) from ${fileName}`)
+  }
+  if (failedCount > 0) {
+    log.warn(`Failed to save ${failedCount} product(s) from ${fileName}`)
+  }
+  if (rejectedCount > 0) {
+    log.warn(`Rejected ${rejectedCount} match(es) from ${fileName}, see ${REJECTED_COLLECTION}`)
+  }
+  if (assetCount > 0) {
+    log.success(`Attached ${assetCount} image asset(s) from ${fileName}`)
+  }
+  if (conflictCount > 0) {
+    log.warn(`Logged ${conflictCount} field conflict(s) from ${fileName} to ${CONFLICTS_COLLECTION}`)
   }
-
-  log.success(`Textract completed for ${fileKey}`)
-  return result
 }
 
 // ---------------- PROCESS SINGLE PDF ----------------
-async function processPDF(fileKey, pdfCollection, productCollection) {
+async function processPDF(fileKey, pdfCollection, productCollection, rejectedCollection, conflictCollection) {
   const fileName = fileKey.split("/").pop()
 
-  const exists = await pdfCollection.findOne({ fileName })
-  if (exists) {
-    log.warn(`Skipped (already processed): ${fileName}`)
-    return
+  // Idempotency is keyed on the object's content (ETag), not its file name
+  const fingerprint = await source.fingerprint(fileKey)
+  const plan = await planExtraction(pdfCollection, { bucket: BUCKET_NAME, key: fileKey, etag: fingerprint.etag })
+  if (plan.action === "skip") {
+    log.warn(`Skipped (${plan.reason}): ${fileKey}`)
+    return { status: "skipped", reason: plan.reason }
   }
 
+  if (plan.previous) {
+    log.info(`Content of ${fileKey} changed, extracting version ${plan.version}`)
+  }
   log.info(`Processing PDF: ${fileName}`)
 
   try {
-    // Run Textract to extract text and get page metadata
-    const result = await runTextract(fileKey)
+    // Read once per PDF for the local backend, image extraction and page previews
+    const pdfBuffer = await source.read(fileKey)
+
+    // Run the configured backend (Textract or local) to extract text and page metadata
+    const result = await extractor.analyzeDocument({ bucket: BUCKET_NAME, key: fileKey, buffer: pdfBuffer })
     const pageCount = result.DocumentMetadata.Pages || 1
     
     log.info(`PDF has ${pageCount} page(s)`)
 
-    // Extract text by page
-    const pagesData = extractTextByPage(result.Blocks)
+    const coverage = computeCoverage(result)
+    if (!coverage.complete) {
+      log.warn(`Incomplete extraction for ${fileName}: ${coverage.pagesWithText}/${coverage.pagesReported} page(s) have text, missing ${coverage.missingPages.join(", ")}`)
+    }
+
+    // Extract text, tables and form fields by page, with a rendered thumbnail and preview of each
+    const pdfId = new ObjectId()
+    const previews = await renderPagePreviews(pdfBuffer, pdfId)
+    const pagesData = extractPagesData(result.Blocks).map(p => ({ ...p, previews: previews.get(p.page) || null }))
     const combinedText = pagesData.map(p => p.text).join("\n\n")
     
     log.info(`Extracted text length: ${combinedText.length} characters`)
+    log.info(`Extracted ${pagesData.reduce((n, p) => n + p.tables.length, 0)} table(s) and ${pagesData.reduce((n, p) => n + p.forms.length, 0)} form field(s)`)
 
-    // Match products using OpenAI
-    log.info("Calling OpenAI for product matching...")
-    const matchedProducts = await matchProductsWithOpenAI(combinedText, manifest)
+    // Match products with the configured matcher, a few pages at a time
+    log.info(`Calling ${matcher.name} matcher for product matching...`)
+    const matchedProducts = await matchProductsInPages(pagesData, manifest)
     
-    log.info(`OpenAI matched ${matchedProducts.length} product(s)`)
+    log.info(`Matcher returned ${matchedProducts.length} product(s)`)
     if (matchedProducts.length > 0) {
       log.info(`Sample matched products: ${JSON.stringify(matchedProducts.slice(0, 2), null, 2)}`)
     }
 
     // Extract images from PDF (if any)
-    const images = await extractImagesFromPDF(fileKey, pageCount)
-    
-    // Get S3 presigned URL for the PDF
-    const s3Link = await getS3PresignedUrl(s3, BUCKET_NAME, fileKey)
+    const images = await extractImagesFromPDF(pdfBuffer, pageCount)
 
     // Store PDF metadata document
     const pdfDoc = {
+      _id: pdfId,
       fileName,
       s3Key: fileKey,
-      s3Link,
       bucket: BUCKET_NAME,
       pages: pageCount,
       extractedText: combinedText,
       pagesData: pagesData,
+      coverage,
+      etag: fingerprint.etag,
+      sizeBytes: fingerprint.sizeBytes,
+      version: plan.version,
+      previousVersionId: plan.previous?._id || null,
+      extractionBackend: extractor.name,
       matchedProductsCount: matchedProducts.length,
       createdAt: new Date()
     }
     
+    const pdfValidation = validateDocument(pdfExtractSchema, pdfDoc)
+    if (!pdfValidation.success) {
+      await recordRejection(rejectedCollection, {
+        target: "pdfExtracts",
+        source: "pdf_extract",
+        fileName,
+        document: pdfDoc,
+        errors: pdfValidation.errors
+      })
+      throw new Error(`PDF document failed validation: ${formatValidationErrors(pdfValidation.errors)}`)
+    }
+
     log.info(`Inserting PDF document into MongoDB...`)
-    const pdfInsertResult = await pdfCollection.insertOne(pdfDoc)
-    const pdfId = pdfInsertResult.insertedId
+    const pdfInsertResult = await pdfCollection.insertOne(pdfValidation.data)
 
     if (!pdfInsertResult.acknowledged) {
       throw new Error("PDF document insertion was not acknowledged by MongoDB")
     }
 
-    log.success(`Saved PDF metadata: ${fileName} (ID: ${pdfId})`)
+    log.success(`Saved PDF metadata: ${fileName} v${plan.version} (ID: ${pdfId})`)
 
-    // Process each matched product and store as separate documents
-    let savedCount = 0
-    let failedCount = 0
-    
-    for (const product of matchedProducts) {
-      try {
-        // Validate product data
-        if (!product.name || !product.brand) {
-          log.warn(`Skipping product with missing name or brand: ${JSON.stringify(product)}`)
-          failedCount++
-          continue
-        }
-
-        // Generate normalized fields
-        const normFields = normalizeProductData(product)
-        
-        // Determine which page this product was found on
-        const productPage = product.page || (pagesData.length > 0 ? pagesData[0].page : 1)
-        const pageText = pagesData.find(p => p.page === productPage)?.text || combinedText
-
-        // Extract price from text or product data
-        let price = null
-        if (product.price !== undefined && product.price !== null) {
-          // If OpenAI returned a price, use it
-          price = typeof product.price === 'number' ? product.price : parseFloat(product.price)
-          if (isNaN(price)) {
-            price = null
-          }
-        } else {
-          // Try to extract price from the page text
-          price = extractPrice(pageText, product.name)
-        }
-
-        // Create product document
-        const productDoc = {
-          name: product.name,
-          brand: product.brand,
-          product_type: product.product_type || null,
-          sub_type: product.sub_type || null,
-          price: price,
-          si: "registered",
-          s3Key: fileKey,
-          s3Link: s3Link,
-          source_refs: [{
-            source: "pdf_extract",
-            collection: "pdfExtracts",
-            source_id: pdfId,
-            page: productPage,
-            fileName: fileName
-          }],
-          raw: {
-            extractedText: pageText,
-            page: productPage,
-            fileName: fileName,
-            s3Key: fileKey
-          },
-          assets: [],
-          _norm: normFields,
-          created_at: new Date(),
-          updated_at: new Date()
-        }
-
-        // Insert product document into products collection
-        log.info(`Inserting product: ${product.name} (${product.brand}) into products collection...`)
-        const productInsertResult = await productCollection.insertOne(productDoc)
-        
-        if (!productInsertResult.acknowledged) {
-          throw new Error("Product document insertion was not acknowledged by MongoDB")
-        }
-        
-        savedCount++
-        log.success(`Saved product: ${product.name} (${product.brand}) (ID: ${productInsertResult.insertedId})`)
-      } catch (productError) {
-        failedCount++
-        log.error(`Failed to save product ${product.name || "unknown"}: ${productError.message}`)
-        if (productError.stack) {
-          log.error(`Stack trace: ${productError.stack}`)
-        }
-        // Continue with next product
-      }
+    if (plan.previous) {
+      await linkVersion(pdfCollection, plan.previous._id, pdfId)
     }
 
-    if (savedCount > 0) {
-      log.success(`Successfully saved ${savedCount} product(s) from ${fileName}`)
-    }
-    if (failedCount > 0) {
-      log.warn(`Failed to save ${failedCount} product(s) from ${fileName}`)
-    }
+    await saveMatchedProducts(
+      { ...pdfValidation.data, _id: pdfId },
+      matchedProducts,
+      productCollection,
+      rejectedCollection,
+      conflictCollection,
+      images
+    )
 
     if (matchedProducts.length === 0) {
       log.warn(`No products matched for ${fileName} - PDF metadata still saved`)
     }
+
+    return { status: "processed", pdfId, version: plan.version, matchedProducts: matchedProducts.length }
   } catch (error) {
     log.error(`Error processing PDF ${fileName}: ${error.message}`)
     if (error.stack) {
@@ -744,6 +831,22 @@ async function processPDF(fileKey, pdfCollection, productCollection) {
   }
 }
 
+// ---------------- REPROCESS STORED PDF ----------------
+// Re-run matching on the stored pagesData of an extraction, without calling Textract
+async function reprocessPDF(pdfExtract, pdfCollection, productCollection, rejectedCollection, conflictCollection) {
+  log.info(`Reprocessing ${pdfExtract.s3Key} v${pdfExtract.version || 1} from stored pages`)
+
+  const matchedProducts = await matchProductsInPages(pdfExtract.pagesData || [], manifest)
+  log.info(`Matcher returned ${matchedProducts.length} product(s)`)
+
+  await pdfCollection.updateOne(
+    { _id: pdfExtract._id },
+    { $set: { matchedProductsCount: matchedProducts.length, reprocessedAt: new Date() } }
+  )
+
+  await saveMatchedProducts(pdfExtract, matchedProducts, productCollection, rejectedCollection, conflictCollection)
+}
+
 // ---------------- MIGRATION: ADD SI FIELD ----------------
 async function migrateSIField(productCollection) {
   try {
@@ -776,7 +879,8 @@ async function migrateSIField(productCollection) {
 }
 
 // ---------------- BATCH PROCESSOR ----------------
-async function processInBatches(files, pdfCollection, productCollection) {
+// processItem(item) handles one source key, or one stored extraction with --reprocess
+async function processInBatches(files, processItem, describe = item => item) {
   let totalProcessed = 0
   let totalFailed = 0
 
@@ -788,9 +892,9 @@ async function processInBatches(files, pdfCollection, productCollection) {
     )
 
     const results = await Promise.allSettled(
-      batch.map(fileKey =>
-        processPDF(fileKey, pdfCollection, productCollection).catch(err => {
-          log.error(`${fileKey} → ${err.message}`)
+      batch.map(item =>
+        processItem(item).catch(err => {
+          log.error(`${describe(item)} → ${err.message}`)
           if (err.stack) {
             log.error(`Stack: ${err.stack}`)
           }
@@ -817,38 +921,81 @@ async function processInBatches(files, pdfCollection, productCollection) {
 async function ingestAllPDFs() {
   try {
     log.info("Connecting to MongoDB...")
-    await mongo.connect()
-    await mongo.db("admin").command({ ping: 1 })
-    log.success("MongoDB connected")
+    await connectDB()
   } catch (err) {
     log.error(`MongoDB connection failed: ${err.message}`)
     process.exit(1)
   }
 
-  const db = mongo.db("inggestData")
+  const db = getDB(INGEST_DB_NAME)
   const pdfCollection = db.collection("pdfExtracts")
   const productCollection = db.collection("products")
+  const rejectedCollection = db.collection(REJECTED_COLLECTION)
+  const conflictCollection = db.collection(CONFLICTS_COLLECTION)
+
+  await ensureProductIndexes(productCollection)
+  await ensureExtractIndexes(pdfCollection)
 
   // Run migration to add si field to existing products
   await migrateSIField(productCollection)
 
-  const pdfFiles = await listPDFFiles()
-  log.info(`Found ${pdfFiles.length} PDF(s) in S3`)
+  // --reprocess: match again from the latest stored extraction of each PDF
+  if (REPROCESS) {
+    // Extractions without stored pages have nothing to match against
+    const extracts = await pdfCollection
+      .find({ bucket: BUCKET_NAME, supersededBy: null, "pagesData.0": { $exists: true } }, { projection: { extractedText: 0 } })
+      .toArray()
+    log.info(`Reprocessing ${extracts.length} stored extraction(s) without Textract`)
+    await processInBatches(
+      extracts,
+      pdfExtract => reprocessPDF(pdfExtract, pdfCollection, productCollection, rejectedCollection, conflictCollection),
+      pdfExtract => pdfExtract.s3Key
+    )
+    log.info(`Matcher usage (${matcher.name}): ${matcher.usage.requests} request(s), ${matcher.usage.totalTokens} token(s) (${matcher.usage.promptTokens} prompt, ${matcher.usage.completionTokens} completion)`)
+    await closeDB()
+    log.success("Reprocessing finished")
+    return
+  }
+
+  const runManifest = await createRunManifest(db.collection(RUNS_COLLECTION), db.collection(RUN_ITEMS_COLLECTION), {
+    script: "bom-layres-product-inggestion",
+    config: LISTING
+  }).start()
+
+  const pdfFiles = await listPDFFiles(runManifest)
+  log.info(`Found ${pdfFiles.length} PDF(s) matching ${LISTING.include.join(", ")}`)
 
   if (pdfFiles.length === 0) {
-    log.warn("No PDF files found in S3. Exiting.")
-    await mongo.close()
+    log.warn("No PDF files found. Exiting.")
+    await runManifest.finish()
+    await closeDB()
     return
   }
 
-  await processInBatches(pdfFiles, pdfCollection, productCollection)
+  // Each file's outcome goes into the run manifest as soon as it is known
+  await processInBatches(
+    pdfFiles,
+    async fileKey => {
+      try {
+        const outcome = await processPDF(fileKey, pdfCollection, productCollection, rejectedCollection, conflictCollection)
+        await runManifest.record(fileKey, outcome)
+      } catch (err) {
+        await runManifest.failed(fileKey, err)
+        throw err
+      }
+    }
+  )
+
+  const runSummary = await runManifest.finish()
+  log.info(`Run manifest ${runManifest.runId}: ${runSummary.listed} listed, ${runSummary.skipped} skipped, ${runSummary.processed} processed, ${runSummary.failed} failed`)
   
   // Log summary
   const pdfCount = await pdfCollection.countDocuments()
   const productCount = await productCollection.countDocuments()
   log.info(`Database summary: ${pdfCount} PDF document(s), ${productCount} product document(s)`)
+  log.info(`Matcher usage (${matcher.name}): ${matcher.usage.requests} request(s), ${matcher.usage.totalTokens} token(s) (${matcher.usage.promptTokens} prompt, ${matcher.usage.completionTokens} completion)`)
 
-  await mongo.close()
+  await closeDB()
   log.success("All PDFs processed successfully")
 }
 
@@ -0,0 +1,82 @@
+import crypto from "crypto";
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs";
+
+import { getParser, detectVendor, listVendors, collectRows, parseRows } from "./parsers/index.js";
+import { tablesFromTextItems } from "./pdf-tables.js";
+import { upsertRobots } from "./robot-store.js";
+
+// Load a PDF buffer and extract its text and tables page by page into
+// [{ pageNumber, text, tables: [{ tableNumber, numrows, numcols, data }] }].
+// onPage(page, pagesTotal) is awaited as each page is read.
+export async function loadPdfTables(pdfBuffer, { onPage } = {}) {
+  const pdf = await getDocument({ data: new Uint8Array(pdfBuffer) }).promise;
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const { items } = await (await pdf.getPage(pageNumber)).getTextContent();
+      const text = items.map((item) => `${item.str}${item.hasEOL ? "\n" : ""}`).join("");
+      const page = { pageNumber, text, tables: tablesFromTextItems(items) };
+      pages.push(page);
+      await onPage?.(page, pdf.numPages);
+    }
+    return pages;
+  } finally {
+    await pdf.destroy();
+  }
+}
+
+export function vendorError(vendor) {
+  return {
+    error: vendor
+      ? `Unsupported vendor "${vendor}"`
+      : "Could not detect the datasheet vendor, pass a vendor field",
+    supportedVendors: listVendors()
+  };
+}
+
+// Run the datasheet table pipeline on a PDF buffer. The parser is the one named by
+// `vendor`, or detected from the text of the first pages; it is null when neither works.
+// With trace, records carry a per-cell trace and the skipped rows are returned too.
+// onProgress({ pagesDone, pagesTotal }) is awaited as each page is read; reading the
+// pages is the slow part, parsing the rows afterwards isn't reported.
+export async function extractDatasheet(pdfBuffer, { fileName, vendor, trace = false, onProgress } = {}) {
+  const sha256 = crypto.createHash("sha256").update(pdfBuffer).digest("hex");
+  const pages = await loadPdfTables(pdfBuffer, {
+    onPage: (page, pagesTotal) => onProgress?.({ pagesDone: page.pageNumber, pagesTotal })
+  });
+  const parser = vendor ? getParser(vendor) : detectVendor(pages);
+
+  if (!parser) {
+    return { parser: null, sha256, pages, records: [], droppedRows: [] };
+  }
+
+  const droppedRows = [];
+  const rows = collectRows(parser, pages, trace ? droppedRows : null);
+  const records = parseRows(parser, rows, { trace }).map((record) => ({
+    ...record,
+    source: { fileName, sha256, ...record.source }
+  }));
+
+  return { parser, sha256, pages, records, droppedRows };
+}
+
+// Extract a datasheet and upsert its robots; returns the per-file result
+export async function ingestDatasheet(db, pdfBuffer, { fileName, vendor, onProgress }) {
+  const { parser, records } = await extractDatasheet(pdfBuffer, { fileName, vendor, onProgress });
+  if (!parser) {
+    return { fileName, success: false, ...vendorError(vendor) };
+  }
+
+  console.log(`Extracted ${records.length} ${parser.name} records from ${fileName}`);
+  const { inserted, updated } = await upsertRobots(db, records);
+
+  return {
+    fileName,
+    success: true,
+    vendor: parser.vendor,
+    extracted: records.length,
+    inserted,
+    updated,
+    records
+  };
+}
@@ -1,17 +1,140 @@
+import dotenv from "dotenv";
 import { MongoClient } from "mongodb";
 
-const url = "mongodb://35.169.142.73:27017";
-const client = new MongoClient(url);
+// Loaded here as well as in the scripts, because imports run before their dotenv.config()
+dotenv.config();
 
-let db;
+// Shared MongoDB connection for the API server, the ingestion scripts and migrations.
+// Everything is configured from the environment:
+//   MONGO_URI                 connection string (default mongodb://localhost:27017)
+//   MONGO_DB_NAME             ingestion database (default inggestData)
+//   MONGO_ROBOTS_DB_NAME      datasheet API database (default robotsDB)
+//   MONGO_USER / MONGO_PASSWORD / MONGO_AUTH_SOURCE    credentials, if not in the URI
+//   MONGO_TLS / MONGO_TLS_CA_FILE / MONGO_TLS_ALLOW_INVALID_CERTS
+//   MONGO_MAX_POOL_SIZE / MONGO_MIN_POOL_SIZE
+//   MONGO_CONNECT_RETRIES / MONGO_RETRY_DELAY_MS       connection retry with backoff
+export const INGEST_DB_NAME = process.env.MONGO_DB_NAME || "inggestData";
+export const ROBOTS_DB_NAME = process.env.MONGO_ROBOTS_DB_NAME || "robotsDB";
 
+const DEFAULT_URI = "mongodb://localhost:27017";
+
+let client = null;
+let connecting = null;
+let shutdownRegistered = false;
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+const envFlag = (name) => ["1", "true", "yes"].includes(String(process.env[name] || "").toLowerCase());
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+function clientOptions() {
+  const options = {
+    maxPoolSize: envInt("MONGO_MAX_POOL_SIZE", 10),
+    minPoolSize: envInt("MONGO_MIN_POOL_SIZE", 0),
+    serverSelectionTimeoutMS: envInt("MONGO_SERVER_SELECTION_TIMEOUT_MS", 10000)
+  };
+
+  if (process.env.MONGO_USER) {
+    options.auth = {
+      username: process.env.MONGO_USER,
+      password: process.env.MONGO_PASSWORD
+    };
+    options.authSource = process.env.MONGO_AUTH_SOURCE || "admin";
+  }
+
+  if (envFlag("MONGO_TLS") || process.env.MONGO_TLS_CA_FILE) {
+    options.tls = true;
+    if (process.env.MONGO_TLS_CA_FILE) options.tlsCAFile = process.env.MONGO_TLS_CA_FILE;
+    if (envFlag("MONGO_TLS_ALLOW_INVALID_CERTS")) options.tlsAllowInvalidCertificates = true;
+  }
+
+  return options;
+}
+
+// Host part of the URI without credentials, for logging
+function describeTarget(uri) {
+  return uri.replace(/\/\/[^@/]*@/, "//");
+}
+
+// Exit codes for the handled signals, 128 + the signal number as a shell reports them
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+// Close the connection on SIGINT/SIGTERM and exit with the signal's code. Operations
+// still in flight are not waited for: closing the client aborts them, so a run stopped
+// this way may have written only part of its work.
+function registerShutdown() {
+  if (shutdownRegistered) return;
+  shutdownRegistered = true;
+
+  for (const [signal, exitCode] of Object.entries(SIGNAL_EXIT_CODES)) {
+    process.once(signal, async () => {
+      console.log(`${signal} received, closing MongoDB connection`);
+      try {
+        await closeDB();
+      } finally {
+        process.exit(exitCode);
+      }
+    });
+  }
+}
+
+async function connectWithRetry() {
+  const uri = process.env.MONGO_URI || DEFAULT_URI;
+  const maxAttempts = envInt("MONGO_CONNECT_RETRIES", 5);
+  const baseDelay = envInt("MONGO_RETRY_DELAY_MS", 1000);
+
+  for (let attempt = 1; ; attempt++) {
+    const candidate = new MongoClient(uri, clientOptions());
+    try {
+      await candidate.connect();
+      await candidate.db("admin").command({ ping: 1 });
+      console.log(`MongoDB connected (${describeTarget(uri)})`);
+      return candidate;
+    } catch (err) {
+      await candidate.close().catch(() => {});
+      if (attempt >= maxAttempts) {
+        throw new Error(`MongoDB connection failed after ${attempt} attempt(s): ${err.message}`);
+      }
+      const delay = baseDelay * 2 ** (attempt - 1);
+      console.warn(`MongoDB connection attempt ${attempt} failed (${err.message}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+// Connect once; later calls reuse the same client
 export async function connectDB() {
-  await client.connect();
-  db = client.db("robotsDB");
-  console.log("MongoDB connected");
+  if (client) return client;
+  if (!connecting) {
+    connecting = connectWithRetry()
+      .then((connected) => {
+        client = connected;
+        registerShutdown();
+        return client;
+      })
+      .finally(() => {
+        connecting = null;
+      });
+  }
+  return connecting;
 }
 
+// Without a name this is the datasheet API database; pass INGEST_DB_NAME (or any
+// other name) for the other databases on the same server
+export function getDB(name = ROBOTS_DB_NAME) {
+  if (!client) {
+    throw new Error("MongoDB is not connected, call connectDB() first");
+  }
+  return client.db(name);
+}
 
-export function getDB() {
-  return db;
+export async function closeDB() {
+  if (!client) return;
+  const closing = client;
+  client = null;
+  await closing.close();
 }
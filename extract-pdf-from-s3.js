@@ -1,34 +1,29 @@
 import dotenv from "dotenv"
-import {
-  TextractClient,
-  StartDocumentAnalysisCommand,
-  GetDocumentAnalysisCommand
-} from "@aws-sdk/client-textract"
-import {
-  S3Client,
-  ListObjectsV2Command
-} from "@aws-sdk/client-s3"
-import { MongoClient } from "mongodb"
+import { S3Client } from "@aws-sdk/client-s3"
+import { connectDB, getDB, closeDB, INGEST_DB_NAME } from "./db.js"
+import { objectFingerprint, planExtraction, linkVersion, ensureExtractIndexes } from "./pdf-versions.js"
+import { createExtractionBackend, extractText, extractPagesData, computeCoverage } from "./pdf-extraction.js"
+import { listingConfig, listObjectKeys, filterKeys, createRunManifest, RUNS_COLLECTION, RUN_ITEMS_COLLECTION } from "./s3-listing.js"
 
 dotenv.config()
 
 // ---------------- CONFIG ----------------
-const BUCKET_NAME = "roworks-pdf-extract"
-const S3_PREFIX = "uploads/"
+// Bucket, prefix and include/exclude globs: --bucket/--prefix/--include/--exclude or PDF_S3_* env
+const LISTING = listingConfig()
+const BUCKET_NAME = LISTING.bucket
 const AWS_REGION = process.env.AWS_REGION
-const MONGO_URI = process.env.MONGO_URI
 
 const BATCH_SIZE = 3          // 🔥 parallel Textract jobs
 const POLL_INTERVAL = 3000    // ms
 
 // ---------------- CLIENTS ----------------
-const textract = new TextractClient({ region: AWS_REGION })
 const s3 = new S3Client({ region: AWS_REGION })
-const mongo = new MongoClient(MONGO_URI)
-
-// ---------------- HELPERS ----------------
-const sleep = ms => new Promise(r => setTimeout(r, ms))
+const extractor = createExtractionBackend(process.env.PDF_EXTRACTION_BACKEND, {
+  s3,
+  pollInterval: POLL_INTERVAL
+})
 
+// ---------------- LOGGER ----------------
 const log = {
   info: msg => console.log(`ℹ️  ${msg}`),
   success: msg => console.log(`✅ ${msg}`),
@@ -36,88 +31,67 @@ const log = {
   error: msg => console.error(`❌ ${msg}`)
 }
 
-function extractText(blocks) {
-  return blocks
-    .filter(b => b.BlockType === "LINE")
-    .map(b => b.Text)
-    .join("\n")
-}
-
 // ---------------- LIST PDF FILES ----------------
-async function listPDFFiles() {
-  const command = new ListObjectsV2Command({
-    Bucket: BUCKET_NAME,
-    Prefix: S3_PREFIX
-  })
-
-  const response = await s3.send(command)
-
-  return (response.Contents || [])
-    .map(obj => obj.Key)
-    .filter(key => key.toLowerCase().endsWith(".pdf"))
-}
-
-// ---------------- TEXTRACT ASYNC ----------------
-async function runTextract(fileKey) {
-  const start = await textract.send(
-    new StartDocumentAnalysisCommand({
-      DocumentLocation: {
-        S3Object: { Bucket: BUCKET_NAME, Name: fileKey }
-      },
-      FeatureTypes: ["TABLES", "FORMS"]
-    })
-  )
-
-  const jobId = start.JobId
-  let status = "IN_PROGRESS"
-  let result
-
-  while (status === "IN_PROGRESS") {
-    await sleep(POLL_INTERVAL)
-
-    result = await textract.send(
-      new GetDocumentAnalysisCommand({ JobId: jobId })
-    )
-
-    status = result.JobStatus
+async function listPDFFiles(runManifest) {
+  const { keys, pages } = await listObjectKeys(s3, LISTING)
+  log.info(`Listed ${keys.length} object(s) in ${pages} page(s)`)
+
+  const { selected, filtered } = filterKeys(keys, LISTING)
+  await runManifest.listed(keys)
+  for (const { key, reason } of filtered) {
+    await runManifest.skipped(key, reason)
   }
 
-  if (status !== "SUCCEEDED") {
-    throw new Error("Textract failed")
-  }
-
-  return result
+  return selected
 }
 
 // ---------------- PROCESS SINGLE PDF ----------------
 async function processPDF(fileKey, collection) {
   const fileName = fileKey.split("/").pop()
 
-  const exists = await collection.findOne({ fileName })
-  if (exists) {
-    log.warn(`Skipped (already done): ${fileName}`)
-    return
+  // Keyed on the object's content (ETag), so same-named files in other prefixes don't collide
+  const fingerprint = await objectFingerprint(s3, BUCKET_NAME, fileKey)
+  const plan = await planExtraction(collection, { bucket: BUCKET_NAME, key: fileKey, etag: fingerprint.etag })
+  if (plan.action === "skip") {
+    log.warn(`Skipped (${plan.reason}): ${fileKey}`)
+    return { status: "skipped", reason: plan.reason }
   }
 
-  log.info(`Processing: ${fileName}`)
+  log.info(`Processing: ${fileName}${plan.previous ? ` (changed, version ${plan.version})` : ""}`)
 
-  const result = await runTextract(fileKey)
+  const result = await extractor.analyzeDocument({ bucket: BUCKET_NAME, key: fileKey })
   const text = extractText(result.Blocks)
+  const coverage = computeCoverage(result)
+  if (!coverage.complete) {
+    log.warn(`Incomplete extraction for ${fileName}: missing text on page(s) ${coverage.missingPages.join(", ")}`)
+  }
 
-  await collection.insertOne({
+  const { insertedId } = await collection.insertOne({
     fileName,
     s3Key: fileKey,
     bucket: BUCKET_NAME,
     pages: result.DocumentMetadata.Pages,
     extractedText: text,
+    pagesData: extractPagesData(result.Blocks),
+    coverage,
+    etag: fingerprint.etag,
+    sizeBytes: fingerprint.sizeBytes,
+    version: plan.version,
+    previousVersionId: plan.previous?._id || null,
+    extractionBackend: extractor.name,
     createdAt: new Date()
   })
 
+  if (plan.previous) {
+    await linkVersion(collection, plan.previous._id, insertedId)
+  }
+
   log.success(`Saved: ${fileName}`)
+  return { status: "processed", pdfId: insertedId, version: plan.version }
 }
 
 // ---------------- BATCH PROCESSOR ----------------
-async function processInBatches(files, collection) {
+async function processInBatches(files, collection, runManifest) {
   for (let i = 0; i < files.length; i += BATCH_SIZE) {
     const batch = files.slice(i, i + BATCH_SIZE)
 
@@ -127,9 +101,12 @@ async function processInBatches(files, collection) {
 
     await Promise.allSettled(
       batch.map(fileKey =>
-        processPDF(fileKey, collection).catch(err =>
-          log.error(`${fileKey} → ${err.message}`)
-        )
+        processPDF(fileKey, collection)
+          .then(outcome => runManifest.record(fileKey, outcome))
+          .catch(err => {
+            log.error(`${fileKey} → ${err.message}`)
+            return runManifest.failed(fileKey, err)
+          })
       )
     )
   }
@@ -140,11 +117,7 @@ async function ingestAllPDFs() {
   // MongoDB connection must succeed before any PDF processing
   try {
     log.info("Connecting to MongoDB...")
-    await mongo.connect()
-    
-    // Verify connection by pinging the database
-    await mongo.db("admin").command({ ping: 1 })
-    log.success("MongoDB connected")
+    await connectDB()
   } catch (err) {
     log.error(`Failed to connect to MongoDB: ${err.message}`)
     log.error("Exiting: Cannot process PDFs without MongoDB connection")
@@ -152,15 +125,24 @@ async function ingestAllPDFs() {
   }
 
   // Only proceed if MongoDB connection is successful
-  const db = mongo.db("inggestData")
+  const db = getDB(INGEST_DB_NAME)
   const collection = db.collection("pdfExtracts")
+  await ensureExtractIndexes(collection)
 
-  const pdfFiles = await listPDFFiles()
+  const runManifest = await createRunManifest(db.collection(RUNS_COLLECTION), db.collection(RUN_ITEMS_COLLECTION), {
+    script: "extract-pdf-from-s3",
+    config: LISTING
+  }).start()
+
+  const pdfFiles = await listPDFFiles(runManifest)
   log.info(`Found ${pdfFiles.length} PDF(s) in S3`)
 
-  await processInBatches(pdfFiles, collection)
+  await processInBatches(pdfFiles, collection, runManifest)
+
+  const runSummary = await runManifest.finish()
+  log.info(`Run manifest ${runManifest.runId}: ${runSummary.listed} listed, ${runSummary.skipped} skipped, ${runSummary.processed} processed, ${runSummary.failed} failed`)
 
-  await mongo.close()
+  await closeDB()
   log.success("All PDFs processed")
 }
 
@@ -0,0 +1,36 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { getDB, INGEST_DB_NAME } from "./db.js";
+import { parseLinkTtl, signObjectLink } from "./s3-links.js";
+
+// Short-lived download links for ingested PDFs, signed per request
+const PDF_COLLECTION = "pdfExtracts";
+
+export const fileRouter = express.Router();
+
+fileRouter.get("/:pdfId", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.pdfId)) {
+      return res.status(400).json({ error: "Invalid PDF id" });
+    }
+
+    const { ttl, error } = parseLinkTtl(req.query.ttl);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const pdf = await getDB(INGEST_DB_NAME).collection(PDF_COLLECTION).findOne(
+      { _id: new ObjectId(req.params.pdfId) },
+      { projection: { fileName: 1, bucket: 1, s3Key: 1 } }
+    );
+    if (!pdf) {
+      return res.status(404).json({ error: "PDF not found" });
+    }
+
+    const link = await signObjectLink(pdf.bucket, pdf.s3Key, ttl);
+    res.json({ success: true, pdfId: pdf._id, fileName: pdf.fileName, ...link });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
@@ -1,273 +1,317 @@
 import express from "express";
 import multer from "multer";
 import fs from "fs";
+import path from "path";
+import AdmZip from "adm-zip";
 
 import { connectDB, getDB } from "./db.js";
-
-// Configure pdfjs-dist worker BEFORE importing pdf-tables-parser
-import * as pdfjsLib from "pdfjs-dist";
-// Resolve worker path using import.meta.resolve for proper ES module resolution
-const workerModulePath = import.meta.resolve("pdfjs-dist/build/pdf.worker.min.mjs");
-pdfjsLib.GlobalWorkerOptions.workerSrc = workerModulePath;
-
-// Now import pdf-tables-parser after configuration
-import { PdfDocument } from "pdf-tables-parser";
+import { ensureRobotIndexes, findRobots } from "./robot-store.js";
+import { extractDatasheet, ingestDatasheet, vendorError } from "./datasheet-extractor.js";
+import { createJob, getJob, listJobs, startJobWorker } from "./jobs.js";
+import { productRouter } from "./product-routes.js";
+import { fileRouter } from "./file-routes.js";
 
 const app = express();
 const upload = multer({ dest: "uploads/" });
 
+app.use("/products", productRouter);
+app.use("/files", fileRouter);
+
+// Robot query params and the capabilityFilter limit each one sets
+const ROBOT_LIMIT_PARAMS = {
+  min_payload_kg: "minPayloadKg",
+  min_reach_m: "minReachM",
+  max_repeatability_mm: "maxRepeatabilityMm"
+};
+const MAX_ROBOT_LIMIT = 200;
+
+// Batch uploads: files per request and PDFs extracted in parallel
+const MAX_BATCH_FILES = 50;
+const BATCH_SIZE = 3;
+
+// PDFs taken from ZIP archives per request, and their total uncompressed size as the
+// archives declare it (adm-zip never inflates an entry past its declared size)
+const MAX_ZIP_ENTRIES = 200;
+const MAX_ZIP_BYTES = 500 * 1024 * 1024;
+
+const isZipFile = (file) =>
+  file.mimetype === "application/zip" ||
+  file.mimetype === "application/x-zip-compressed" ||
+  path.extname(file.originalname).toLowerCase() === ".zip";
+
+// Expand uploaded files into { fileName, archive, read } PDFs, where read() returns the
+// PDF buffer, so a ZIP entry is only decompressed when its batch runs. A ZIP that can't
+// be read, or would go over the entry or size caps, becomes a single entry with an
+// error instead of failing the batch
+function expandUploads(files) {
+  const pdfs = [];
+  let zipEntries = 0;
+  let zipBytes = 0;
+
+  for (const file of files) {
+    if (!isZipFile(file)) {
+      pdfs.push({ fileName: file.originalname, archive: null, read: () => fs.readFileSync(file.path) });
+      continue;
+    }
+
+    let entries;
+    try {
+      entries = new AdmZip(file.path).getEntries().filter((entry) =>
+        !entry.isDirectory &&
+        !entry.entryName.startsWith("__MACOSX/") &&
+        entry.entryName.toLowerCase().endsWith(".pdf")
+      );
+    } catch (err) {
+      pdfs.push({ fileName: file.originalname, archive: null, error: `Invalid ZIP archive: ${err.message}` });
+      continue;
+    }
+
+    const bytes = entries.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (zipEntries + entries.length > MAX_ZIP_ENTRIES || zipBytes + bytes > MAX_ZIP_BYTES) {
+      pdfs.push({
+        fileName: file.originalname,
+        archive: null,
+        error: `ZIP archive skipped, a request's archives may hold at most ${MAX_ZIP_ENTRIES} PDFs and ${MAX_ZIP_BYTES / 1024 / 1024} MB uncompressed`
+      });
+      continue;
+    }
+    zipEntries += entries.length;
+    zipBytes += bytes;
+
+    for (const entry of entries) {
+      pdfs.push({ fileName: entry.entryName, archive: file.originalname, read: () => entry.getData() });
+    }
+  }
+
+  return pdfs;
+}
+
 app.post("/upload-pdf", upload.single("pdf"), async (req, res) => {
+    const pdfPath = req.file?.path;
     try {
-      const pdfPath = req.file.path;
-      // const db = getDB();
-      // const collection = db.collection("robots");
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded, send it in the pdf field" });
+      }
+      const db = getDB();
   
-      // Read PDF file as buffer and convert to Uint8Array
       const pdfBuffer = fs.readFileSync(pdfPath);
-      const pdfData = new Uint8Array(pdfBuffer);
-      
-      // Load PDF and extract tables
-      const pdfDoc = new PdfDocument({
-        hasTitles: false,
-        threshold: 1.5
+  
+      // Route the rows to the vendor parser named in the form, or detect it from the first pages
+      const result = await ingestDatasheet(db, pdfBuffer, {
+        fileName: req.file.originalname,
+        vendor: req.body?.vendor
       });
-      
-      await pdfDoc.load(pdfData);
+      if (!result.success) {
+        return res.status(422).json({ error: result.error, supportedVendors: result.supportedVendors });
+      }
+      const { vendor, records, inserted, updated } = result;
   
-      const records = [];
-      
-      // Helper function to check if a string is a robot model
-      const isRobotModel = (str) => {
-        if (!str || typeof str !== 'string') return false;
-        const trimmed = str.trim();
-        return /^IRB\s+\d+/i.test(trimmed) || 
-               /^IRB\s+\d+[A-Z]/i.test(trimmed) ||
-               /^YuMi/i.test(trimmed) ||
-               /^FlexPicker/i.test(trimmed);
-      };
-      
-      // Helper function to check if we should skip a row
-      const shouldSkipRow = (firstCell) => {
-        if (!firstCell) return true;
-        const trimmed = firstCell.trim().toLowerCase();
-        return trimmed.includes("articulated") || 
-               trimmed.includes("robotics product") ||
-               trimmed.includes("creating the flexible") ||
-               trimmed === "—" ||
-               trimmed.startsWith("www.") ||
-               trimmed.includes("facebook.com") ||
-               trimmed.includes("twitter.com") ||
-               trimmed.includes("youtube.com") ||
-               trimmed.includes("linkedin.com") ||
-               trimmed.includes("abb robotics is") ||
-               trimmed.includes("additional information") ||
-               trimmed.includes("we reserve") ||
-               trimmed.includes("© copyright") ||
-               trimmed.includes("specifications subject") ||
-               trimmed.includes("parallel robots") ||
-               trimmed.includes("scara robots") ||
-               trimmed.includes("paint robots") ||
-               trimmed.includes("compliant with iso");
-      };
-      
-      // Collect all rows first
-      const allRows = [];
-      for (const page of pdfDoc.pages) {
-        for (const table of page.tables) {
-          for (const row of table.data) {
-            if (!row || !row[0]) continue;
-            const firstCell = String(row[0] || '').trim();
-            if (shouldSkipRow(firstCell)) continue;
-            allRows.push(row);
-          }
-        }
+      // Write extracted data to a JSON file only when asked for with ?format=file
+      let jsonFilePath = null;
+      if (req.query.format === "file" && records.length > 0) {
+        jsonFilePath = `extracted-data-${Date.now()}.json`;
+        fs.writeFileSync(jsonFilePath, JSON.stringify(records, null, 2));
       }
-      
-      // Group rows by model - when we find a model row, collect subsequent rows until next model
-      let currentRecord = null;
-      
-      for (let i = 0; i < allRows.length; i++) {
-        const row = allRows[i];
-        
-        // Check both column 0 and column 1 for model (column 0 might be image)
-        let modelCell = null;
-        let modelColIdx = -1;
-        
-        for (let j = 0; j < Math.min(2, row.length); j++) {
-          const cell = String(row[j] || '').trim();
-          if (isRobotModel(cell)) {
-            modelCell = cell;
-            modelColIdx = j;
-            break;
-          }
-        }
-        
-        // Check if this is a new model row
-        if (modelCell) {
-          // Save previous record if exists
-          if (currentRecord && currentRecord.model) {
-            records.push(currentRecord);
-          }
-          
-          // Start new record
-          currentRecord = {
-            model: modelCell,
-            payloadKg: null,
-            reachM: null,
-            repeatabilityMm: null,
-            mounting: null,
-            protection: null,
-            axes: null,
-            controller: null,
-            remark: null,
-            createdAt: new Date()
-          };
-          
-          // Try to extract data from this row's columns (start after model column)
-          for (let colIdx = modelColIdx + 1; colIdx < row.length; colIdx++) {
-            const cell = String(row[colIdx] || '').trim();
-            if (!cell) continue;
-            
-            const numValue = parseFloat(cell);
-            
-            // Payload: whole number, typically 1-800
-            if (!isNaN(numValue) && !cell.includes('.') && numValue >= 1 && numValue <= 800 && !currentRecord.payloadKg) {
-              currentRecord.payloadKg = numValue;
-            }
-            // Reach: decimal, typically 0.3-5.5
-            else if (!isNaN(numValue) && cell.includes('.') && numValue >= 0.3 && numValue <= 5.5 && !currentRecord.reachM) {
-              currentRecord.reachM = numValue;
-            }
-            // Repeatability: decimal, typically 0.01-0.30
-            else if (!isNaN(numValue) && cell.includes('.') && numValue >= 0.01 && numValue <= 0.30 && !currentRecord.repeatabilityMm) {
-              currentRecord.repeatabilityMm = numValue;
-            }
-            // Axes: whole number, typically 3-14
-            else if (!isNaN(numValue) && !cell.includes('.') && numValue >= 3 && numValue <= 14 && !currentRecord.axes) {
-              currentRecord.axes = numValue;
-            }
-            // Mounting: contains keywords
-            else if (cell.toLowerCase().includes('floor') || cell.toLowerCase().includes('wall') || 
-                     cell.toLowerCase().includes('inverted') || cell.toLowerCase().includes('shelf') ||
-                     cell.toLowerCase().includes('table') || cell.toLowerCase().includes('tilted')) {
-              if (!currentRecord.mounting) {
-                currentRecord.mounting = cell;
-              }
-            }
-            // Protection: contains IP, Std, Foundry, etc.
-            else if (cell.toLowerCase().includes('ip') || cell.toLowerCase().includes('std:') || 
-                     cell.toLowerCase().includes('foundry') || cell.toLowerCase().includes('clean room')) {
-              if (!currentRecord.protection) {
-                currentRecord.protection = cell;
-              }
-            }
-            // Controller: contains IRC5, OmniCore, etc.
-            else if (cell.toLowerCase().includes('irc5') || cell.toLowerCase().includes('omnicore')) {
-              if (!currentRecord.controller) {
-                currentRecord.controller = cell;
-              }
-            }
-          }
-        }
-        // This row belongs to the current model - it's continuation data
-        else if (currentRecord) {
-          // Check if this row contains data for the current model
-          for (let colIdx = 0; colIdx < row.length; colIdx++) {
-            const cell = String(row[colIdx] || '').trim();
-            if (!cell) continue;
-            
-            const numValue = parseFloat(cell);
-            
-            // Payload values (whole numbers)
-            if (!isNaN(numValue) && !cell.includes('.') && numValue >= 1 && numValue <= 800) {
-              // If we already have a payload, this might be an alternative (store in remark or append)
-              if (!currentRecord.payloadKg) {
-                currentRecord.payloadKg = numValue;
-              } else if (currentRecord.payloadKg !== numValue) {
-                // Multiple payload options - store as string
-                currentRecord.payloadKg = `${currentRecord.payloadKg}/${numValue}`;
-              }
-            }
-            // Reach values (decimals)
-            else if (!isNaN(numValue) && cell.includes('.') && numValue >= 0.3 && numValue <= 5.5) {
-              if (!currentRecord.reachM) {
-                currentRecord.reachM = numValue;
-              } else if (currentRecord.reachM !== numValue) {
-                currentRecord.reachM = `${currentRecord.reachM}/${numValue}`;
-              }
-            }
-            // Repeatability values
-            else if (!isNaN(numValue) && cell.includes('.') && numValue >= 0.01 && numValue <= 0.30) {
-              if (!currentRecord.repeatabilityMm) {
-                currentRecord.repeatabilityMm = numValue;
-              } else if (typeof currentRecord.repeatabilityMm === 'number' && currentRecord.repeatabilityMm !== numValue) {
-                currentRecord.repeatabilityMm = `${currentRecord.repeatabilityMm} - ${numValue}`;
-              }
-            }
-            // Mounting continuation
-            else if (cell.toLowerCase().includes('floor') || cell.toLowerCase().includes('wall') || 
-                     cell.toLowerCase().includes('inverted') || cell.toLowerCase().includes('shelf') ||
-                     cell.toLowerCase().includes('table') || cell.toLowerCase().includes('tilted')) {
-              if (currentRecord.mounting) {
-                currentRecord.mounting += ', ' + cell;
-              } else {
-                currentRecord.mounting = cell;
-              }
-            }
-            // Protection continuation
-            else if (cell.toLowerCase().includes('ip') || cell.toLowerCase().includes('std:') || 
-                     cell.toLowerCase().includes('foundry') || cell.toLowerCase().includes('clean room') ||
-                     cell.toLowerCase().includes('option:')) {
-              if (currentRecord.protection) {
-                currentRecord.protection += ', ' + cell;
-              } else {
-                currentRecord.protection = cell;
-              }
-            }
-            // Controller
-            else if (cell.toLowerCase().includes('irc5') || cell.toLowerCase().includes('omnicore')) {
-              if (!currentRecord.controller) {
-                currentRecord.controller = cell;
-              }
-            }
-          }
-        }
+  
+      res.json({
+        success: true,
+        vendor,
+        extracted: records.length,
+        inserted,
+        updated,
+        ...(jsonFilePath && { file: jsonFilePath })
+      });
+  
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    } finally {
+      if (pdfPath && fs.existsSync(pdfPath)) {
+        fs.unlinkSync(pdfPath);
       }
-      
-      // Don't forget the last record
-      if (currentRecord && currentRecord.model) {
-        records.push(currentRecord);
+    }
+  });
+
+// Same pipeline as /upload-pdf without persisting anything, for tuning parsers
+app.post("/upload-pdf/preview", upload.single("pdf"), async (req, res) => {
+    const pdfPath = req.file?.path;
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded, send it in the pdf field" });
       }
+      const pdfBuffer = fs.readFileSync(pdfPath);
+      const { parser, pages, records, droppedRows } = await extractDatasheet(pdfBuffer, {
+        fileName: req.file.originalname,
+        vendor: req.body?.vendor,
+        trace: true
+      });
   
-      // if (records.length > 0) {
-      //   await collection.insertMany(records);
-      // }
+      const tables = pages.map((page) => ({
+        page: page.pageNumber,
+        tables: page.tables.map((table) => table.data)
+      }));
   
-      // Write extracted data to JSON file
-      console.log(`Extracted ${records.length} records`);
-      
-      if (records.length > 0) {
-        const jsonFilePath = `extracted-data-${Date.now()}.json`;
-        fs.writeFileSync(jsonFilePath, JSON.stringify(records, null, 2));
+      if (!parser) {
+        return res.status(422).json({ ...vendorError(req.body?.vendor), tables });
       }
   
-      fs.unlinkSync(pdfPath);
+      res.json({
+        success: true,
+        vendor: parser.vendor,
+        extracted: records.length,
+        records,
+        droppedRows,
+        tables
+      });
+  
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    } finally {
+      if (pdfPath && fs.existsSync(pdfPath)) {
+        fs.unlinkSync(pdfPath);
+      }
+    }
+  });
+
+// Several PDFs and/or ZIP archives of PDFs at once. Files are processed BATCH_SIZE at a
+// time and each gets its own result, so one corrupt PDF doesn't fail the others.
+app.post("/upload-pdf/batch", upload.array("pdfs", MAX_BATCH_FILES), async (req, res) => {
+    const files = req.files || [];
+    try {
+      if (files.length === 0) {
+        return res.status(400).json({ error: "No files uploaded, send them in the pdfs field" });
+      }
+  
+      const db = getDB();
+      const pdfs = expandUploads(files);
+      const results = [];
+  
+      for (let i = 0; i < pdfs.length; i += BATCH_SIZE) {
+        const batch = pdfs.slice(i, i + BATCH_SIZE);
+  
+        const settled = await Promise.allSettled(
+          batch.map(async (pdf) => {
+            if (pdf.error) throw new Error(pdf.error);
+            return ingestDatasheet(db, pdf.read(), { fileName: pdf.fileName, vendor: req.body?.vendor });
+          })
+        );
+  
+        settled.forEach((outcome, idx) => {
+          const { fileName, archive } = batch[idx];
+          if (outcome.status === "fulfilled") {
+            const { records, ...result } = outcome.value;
+            results.push({ ...result, archive });
+          } else {
+            results.push({ fileName, archive, success: false, error: outcome.reason?.message || "Unknown error" });
+          }
+        });
+      }
+  
+      const succeeded = results.filter((result) => result.success).length;
+      console.log(`Batch complete: ${succeeded} succeeded, ${results.length - succeeded} failed`);
   
       res.json({
         success: true,
-        inserted: records.length
+        files: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
       });
   
     } catch (err) {
       res.status(500).json({ error: err.message });
+    } finally {
+      for (const file of files) {
+        if (fs.existsSync(file.path)) {
+          fs.unlinkSync(file.path);
+        }
+      }
     }
   });
 
-connectDB().then(() => {
+// Queue a datasheet for background extraction; poll GET /jobs/:id for progress
+app.post("/jobs", upload.single("pdf"), async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded, send it in the pdf field" });
+      }
+  
+      const job = await createJob(getDB(), {
+        fileName: req.file.originalname,
+        filePath: req.file.path,
+        vendor: req.body?.vendor
+      });
+  
+      res.status(202).json({ success: true, jobId: job._id, status: job.status });
+  
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+// Robots where one variant meets every limit, e.g. /robots?min_payload_kg=10&min_reach_m=1.2
+app.get("/robots", async (req, res) => {
+    try {
+      const limits = {};
+      for (const [param, field] of Object.entries(ROBOT_LIMIT_PARAMS)) {
+        const value = req.query[param];
+        if (value === undefined) continue;
+        if (typeof value !== "string" || value.trim() === "" || isNaN(Number(value))) {
+          return res.status(400).json({ error: `${param} must be a number` });
+        }
+        limits[field] = Number(value);
+      }
+      if (req.query.vendor !== undefined && typeof req.query.vendor !== "string") {
+        return res.status(400).json({ error: "vendor must be a single string value" });
+      }
+
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_ROBOT_LIMIT);
+      const robots = await findRobots(getDB(), limits, { vendor: req.query.vendor, limit });
+      res.json({ success: true, count: robots.length, robots });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+app.get("/jobs", async (req, res) => {
+    try {
+      const jobs = await listJobs(getDB(), { status: req.query.status, limit: req.query.limit });
+      res.json({ success: true, jobs });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+app.get("/jobs/:id", async (req, res) => {
+    try {
+      const job = await getJob(getDB(), req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: "Job not found" });
+      }
+      res.json({ success: true, job });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+// Errors thrown before a route runs (multer limits, unparseable JSON bodies) as JSON
+// instead of Express's HTML error page
+app.use((err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    const error = err.code === "LIMIT_UNEXPECTED_FILE" && err.field === "pdfs"
+      ? `Too many files, send at most ${MAX_BATCH_FILES} in the pdfs field`
+      : `${err.message}${err.field ? ` (${err.field})` : ""}`;
+    return res.status(400).json({ error });
+  }
+  res.status(err.status || err.statusCode || 500).json({ error: err.message });
+});
+
+connectDB().then(async () => {
+    await ensureRobotIndexes(getDB());
+    await startJobWorker(getDB());
     app.listen(3099, () => {
         console.log("Server is running on port 3099");
     });
 }).catch((err) => {
     console.error(err);
     process.exit(1);
-});
\ No newline at end of file
+});
@@ -0,0 +1,187 @@
+import fs from "fs";
+import { ObjectId } from "mongodb";
+
+import { ingestDatasheet } from "./datasheet-extractor.js";
+
+// Asynchronous datasheet extraction. Jobs live in the jobs collection, so any
+// job still queued or running when the process stops is picked up again on restart.
+export const JOBS_COLLECTION = "jobs";
+
+const JOB_CONCURRENCY = Number(process.env.JOB_CONCURRENCY) || 2;
+// A job that keeps crashing the process is failed after this many starts
+const MAX_ATTEMPTS = 3;
+const MAX_LIST_LIMIT = 200;
+
+let db = null;
+let activeWorkers = 0;
+// Set when a job arrives while every worker is busy: one of them may already have
+// seen an empty queue and be on its way out, so the next worker to exit kicks again
+let kickPending = false;
+
+export async function createJob(database, { fileName, filePath, vendor }) {
+  const now = new Date();
+  const job = {
+    type: "datasheet",
+    status: "queued",
+    fileName,
+    filePath,
+    vendor: vendor || null,
+    detectedVendor: null,
+    pagesTotal: null,
+    pagesDone: 0,
+    recordsFound: 0,
+    inserted: 0,
+    updated: 0,
+    errors: [],
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  const result = await database.collection(JOBS_COLLECTION).insertOne(job);
+  kickWorkers();
+  return { _id: result.insertedId, ...job };
+}
+
+export async function getJob(database, id) {
+  if (!ObjectId.isValid(id)) return null;
+  return database.collection(JOBS_COLLECTION).findOne(
+    { _id: new ObjectId(id) },
+    { projection: { filePath: 0 } }
+  );
+}
+
+export async function listJobs(database, { status, limit } = {}) {
+  const filter = status ? { status } : {};
+  const pageSize = Math.min(Number(limit) || 50, MAX_LIST_LIMIT);
+
+  return database.collection(JOBS_COLLECTION)
+    .find(filter, { projection: { filePath: 0 } })
+    .sort({ createdAt: -1 })
+    .limit(pageSize)
+    .toArray();
+}
+
+// Start processing jobs, first requeueing the ones a previous process left running
+export async function startJobWorker(database) {
+  db = database;
+  const jobs = db.collection(JOBS_COLLECTION);
+
+  await jobs.createIndex({ status: 1, createdAt: 1 });
+
+  const { modifiedCount } = await jobs.updateMany(
+    { status: "running" },
+    { $set: { status: "queued", updatedAt: new Date() } }
+  );
+  if (modifiedCount > 0) {
+    console.log(`Resuming ${modifiedCount} interrupted job(s)`);
+  }
+
+  kickWorkers();
+}
+
+function kickWorkers() {
+  if (!db) return;
+  if (activeWorkers >= JOB_CONCURRENCY) {
+    kickPending = true;
+    return;
+  }
+  while (activeWorkers < JOB_CONCURRENCY) {
+    activeWorkers++;
+    runWorker()
+      .catch((err) => console.error(`Job worker error: ${err.message}`))
+      .finally(() => {
+        activeWorkers--;
+        if (kickPending) {
+          kickPending = false;
+          kickWorkers();
+        }
+      });
+  }
+}
+
+// Atomically take the oldest queued job
+async function claimJob() {
+  return db.collection(JOBS_COLLECTION).findOneAndUpdate(
+    { status: "queued" },
+    {
+      $set: { status: "running", startedAt: new Date(), updatedAt: new Date() },
+      $inc: { attempts: 1 }
+    },
+    { sort: { createdAt: 1 }, returnDocument: "after" }
+  );
+}
+
+async function runWorker() {
+  let job;
+  while ((job = await claimJob())) {
+    await runJob(job);
+  }
+}
+
+async function updateJob(jobId, update) {
+  await db.collection(JOBS_COLLECTION).updateOne(
+    { _id: jobId },
+    { ...update, $set: { ...update.$set, updatedAt: new Date() } }
+  );
+}
+
+async function failJob(job, message) {
+  await updateJob(job._id, {
+    $set: { status: "failed", finishedAt: new Date() },
+    $push: { errors: { message, attempt: job.attempts, at: new Date() } }
+  });
+  removeUpload(job);
+}
+
+function removeUpload(job) {
+  if (job.filePath && fs.existsSync(job.filePath)) {
+    fs.unlinkSync(job.filePath);
+  }
+}
+
+async function runJob(job) {
+  if (job.attempts > MAX_ATTEMPTS) {
+    await failJob(job, `Gave up after ${MAX_ATTEMPTS} attempts`);
+    return;
+  }
+  if (!fs.existsSync(job.filePath)) {
+    await failJob(job, "Uploaded file is no longer available");
+    return;
+  }
+
+  console.log(`Running job ${job._id} for ${job.fileName} (attempt ${job.attempts})`);
+
+  try {
+    const pdfBuffer = fs.readFileSync(job.filePath);
+    const result = await ingestDatasheet(db, pdfBuffer, {
+      fileName: job.fileName,
+      vendor: job.vendor,
+      onProgress: ({ pagesDone, pagesTotal }) =>
+        updateJob(job._id, { $set: { pagesDone, pagesTotal } })
+    });
+
+    if (!result.success) {
+      await failJob(job, result.error);
+      return;
+    }
+
+    await updateJob(job._id, {
+      $set: {
+        status: "completed",
+        detectedVendor: result.vendor,
+        recordsFound: result.extracted,
+        inserted: result.inserted,
+        updated: result.updated,
+        finishedAt: new Date()
+      }
+    });
+    removeUpload(job);
+    console.log(`Job ${job._id} completed: ${result.extracted} records`);
+  } catch (err) {
+    console.error(`Job ${job._id} failed: ${err.message}`);
+    await failJob(job, err.message);
+  }
+}
@@ -0,0 +1,348 @@
+import OpenAI from "openai"
+import { matchedProductSchema, validateDocument } from "./schemas.js"
+
+// Product matching providers for the ingestion scripts. Every provider implements
+//   matchProducts({ prompt, schema, text, manifest }) -> products[]
+// and keeps a running token count in `usage`. Chat providers send `prompt`; the
+// rule-based provider matches `text` against the manifest without any network.
+//
+//   LLM_PROVIDER=openai              OpenAI (default): OPENAI_API_KEY, OPENAI_MODEL
+//   LLM_PROVIDER=openai-compatible   any OpenAI-style endpoint: LLM_BASE_URL, LLM_API_KEY, LLM_MODEL;
+//                                    LLM_JSON_SCHEMA=true if it supports structured outputs
+//   LLM_PROVIDER=rule-based          deterministic manifest keyword matching
+//
+// Whatever a provider returns is checked by guardMatchedProduct before it is stored.
+export const MATCHER_PROVIDERS = ["openai", "openai-compatible", "rule-based"]
+
+const MAX_RETRIES = 3
+const SERVER_ERROR_DELAY = 10000
+const RETRYABLE_STATUS = [500, 502, 503, 504]
+
+const SYSTEM_PROMPT = "You are a precise product matching assistant. Always return valid JSON with a 'products' array."
+
+// ---------------- LOGGER ----------------
+const log = {
+  info: msg => console.log(`ℹ️  ${msg}`),
+  success: msg => console.log(`✅ ${msg}`),
+  warn: msg => console.log(`⚠️  ${msg}`),
+  error: msg => console.error(`❌ ${msg}`)
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms))
+
+// ---------------- RETRY ----------------
+// Rate limits wait for retry-after; server errors back off 10s, 20s, 40s
+export async function withRetry(fn, label = "LLM") {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn()
+    } catch (error) {
+      const retryable = error.status === 429 || RETRYABLE_STATUS.includes(error.status)
+      if (!retryable || attempt >= MAX_RETRIES) {
+        if (retryable) log.error(`Max retries reached for ${label} (status ${error.status})`)
+        throw error
+      }
+
+      if (error.status === 429) {
+        const retryAfter = parseInt(error.headers?.["retry-after"]) || 60
+        log.warn(`${label} rate limit hit, waiting ${retryAfter} seconds...`)
+        await sleep(retryAfter * 1000)
+      } else {
+        const delay = SERVER_ERROR_DELAY * 2 ** attempt
+        log.warn(`${label} server error (${error.status}), retrying in ${delay / 1000} seconds...`)
+        await sleep(delay)
+      }
+    }
+  }
+}
+
+// ---------------- RESPONSE SHAPE ----------------
+// Structured output schema for { products: [...] }. Strict mode wants every property
+// listed as required, so optional values are nullable instead; `extraProperties`
+// adds the caller's own fields (page for PDFs, component_type for URDFs)
+export function productMatchSchema(extraProperties = {}) {
+  const properties = {
+    name: { type: "string" },
+    brand: { type: "string" },
+    product_type: { type: "string" },
+    sub_type: { type: ["string", "null"] },
+    bom_layer: { type: ["string", "null"] },
+    vendor_name: { type: "string" },
+    price: { type: ["number", "null"] },
+    ...extraProperties
+  }
+
+  return {
+    type: "object",
+    additionalProperties: false,
+    required: ["products"],
+    properties: {
+      products: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: Object.keys(properties),
+          properties
+        }
+      }
+    }
+  }
+}
+
+// Only { products: [...] } is accepted; anything else is logged and dropped
+export function coerceProducts(content) {
+  if (!content) {
+    log.warn("LLM returned empty response")
+    return []
+  }
+
+  let parsed
+  try {
+    parsed = JSON.parse(content)
+  } catch (parseError) {
+    log.error(`Failed to parse LLM response: ${parseError.message}`)
+    log.error(`Response content: ${content.substring(0, 500)}`)
+    return []
+  }
+
+  if (Array.isArray(parsed?.products)) return parsed.products
+
+  log.warn("LLM response doesn't contain a \"products\" array")
+  return []
+}
+
+// ---------------- CHAT PROVIDERS ----------------
+function createChatProvider({ name, client, model, structuredOutput }) {
+  const usage = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+
+  return {
+    name,
+    model,
+    usage,
+    async matchProducts({ prompt, schema }) {
+      const responseFormat = schema && structuredOutput
+        ? { type: "json_schema", json_schema: { name: "product_matches", strict: true, schema } }
+        : { type: "json_object" }
+
+      try {
+        const completion = await withRetry(() => client.chat.completions.create({
+          model,
+          messages: [
+            { role: "system", content: SYSTEM_PROMPT },
+            { role: "user", content: prompt }
+          ],
+          response_format: responseFormat,
+          temperature: 0.1,
+          max_tokens: 4000
+        }), name)
+
+        usage.requests++
+        usage.promptTokens += completion.usage?.prompt_tokens || 0
+        usage.completionTokens += completion.usage?.completion_tokens || 0
+        usage.totalTokens += completion.usage?.total_tokens || 0
+
+        return coerceProducts(completion.choices[0]?.message?.content)
+      } catch (error) {
+        log.error(`${name} API error: ${error.message}`)
+        if (error.status) {
+          log.error(`Status code: ${error.status}`)
+        }
+        return []
+      }
+    }
+  }
+}
+
+// ---------------- RULE-BASED PROVIDER ----------------
+// Basic keyword detection: the first meaningful word of a manifest item
+const itemKeyword = item => item.replace(/[()]/g, "").split(" ")[0].toLowerCase()
+
+export function ingestUsingManifest(text, manifest) {
+  const lowerText = text.toLowerCase()
+  const ingestedVendors = []
+
+  for (const vendor of manifest.vendors) {
+    const vendorName = vendor.vendor_name
+    const vendorResult = {
+      vendor_name: vendorName,
+      product_groups: []
+    }
+
+    for (const group of vendor.product_groups) {
+      const matchedItems = []
+
+      for (const item of group.items) {
+        if (lowerText.includes(itemKeyword(item))) {
+          log.success(
+            `Matched → Vendor: ${vendorName}, Group: ${group.product_group}, Item: ${item}`
+          )
+          matchedItems.push(item)
+        }
+      }
+
+      if (matchedItems.length > 0) {
+        vendorResult.product_groups.push({
+          product_group: group.product_group,
+          bom_layer: group.bom_layer,
+          items: matchedItems
+        })
+      }
+    }
+
+    if (vendorResult.product_groups.length > 0) {
+      ingestedVendors.push(vendorResult)
+    }
+  }
+
+  return ingestedVendors
+}
+
+// Page markers the PDF ingestion puts in front of each page of a chunk
+const PAGE_MARKER = /^=== Page (\d+)(?: \(part \d+\))? ===$/gm
+
+// Page of the last marker before `index`; null for text without markers (URDFs)
+function pageAt(text, index) {
+  let page = null
+  for (const marker of text.matchAll(PAGE_MARKER)) {
+    if (marker.index > index) break
+    page = parseInt(marker[1])
+  }
+  return page
+}
+
+const WORD_CHAR = /[\w./+-]/
+
+// What an item was matched on, as the text writes it: the whole item if the text has
+// it, otherwise the word around its keyword. Returns { name, index } or null
+function matchedText(text, item) {
+  const lowerText = text.toLowerCase()
+  const itemIndex = lowerText.indexOf(item.toLowerCase())
+  if (itemIndex !== -1) {
+    return { name: text.slice(itemIndex, itemIndex + item.length), index: itemIndex }
+  }
+
+  const keyword = itemKeyword(item)
+  const index = lowerText.indexOf(keyword)
+  if (index === -1) return null
+
+  let start = index
+  let end = index + keyword.length
+  while (start > 0 && WORD_CHAR.test(text[start - 1])) start--
+  while (end < text.length && WORD_CHAR.test(text[end])) end++
+  return { name: text.slice(start, end).replace(/^[./+-]+|[./+-]+$/g, ""), index }
+}
+
+// Same product shape the chat providers return, one product per matched manifest item.
+// The name is the text that matched and the page is the one it was found on, so the
+// hallucination guard's page-text check holds for deterministic matches too
+function createRuleBasedProvider() {
+  const usage = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+
+  return {
+    name: "rule-based",
+    model: null,
+    usage,
+    async matchProducts({ text, manifest }) {
+      usage.requests++
+      const source = text || ""
+      return ingestUsingManifest(source, manifest).flatMap(vendor =>
+        vendor.product_groups.flatMap(group => group.items.map(item => {
+          const match = matchedText(source, item)
+          return {
+            name: match?.name || item,
+            brand: vendor.vendor_name,
+            product_type: group.product_group,
+            sub_type: item,
+            bom_layer: group.bom_layer || null,
+            vendor_name: vendor.vendor_name,
+            page: match ? pageAt(source, match.index) : null,
+            price: null
+          }
+        }))
+      )
+    }
+  }
+}
+
+// ---------------- HALLUCINATION GUARD ----------------
+const sameText = (a, b) => String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase()
+
+const normalizeSpace = value => String(value || "").toLowerCase().replace(/\s+/g, " ").trim()
+
+// Check a matched product against the manifest, and for PDFs against the text of the
+// page it cites. Returns { success, data } with brand, product_type and bom_layer
+// taken from the manifest entry, or { success: false, reason, errors }
+export function guardMatchedProduct(product, manifest, { pageText = null } = {}) {
+  const shape = validateDocument(matchedProductSchema, product)
+  if (!shape.success) {
+    return { success: false, reason: "invalid_output", errors: shape.errors }
+  }
+
+  const match = shape.data
+  const errors = []
+  const reject = (path, code, message) => errors.push({ path, code, message })
+
+  const vendor = manifest.vendors.find(v => sameText(v.vendor_name, match.brand))
+  const group = vendor?.product_groups.find(g => sameText(g.product_group, match.product_type))
+  const item = match.sub_type ? group?.items.find(i => sameText(i, match.sub_type)) : null
+
+  if (!vendor) {
+    reject("brand", "unknown_vendor", `Vendor "${match.brand}" is not in the manifest`)
+  } else if (!group) {
+    reject("product_type", "unknown_group", `Product group "${match.product_type}" is not listed for ${vendor.vendor_name}`)
+  } else if (match.sub_type && !item) {
+    reject("sub_type", "unknown_item", `Item "${match.sub_type}" is not listed under ${vendor.vendor_name} / ${group.product_group}`)
+  }
+
+  if (pageText !== null && !normalizeSpace(pageText).includes(normalizeSpace(match.name))) {
+    reject("name", "name_not_in_page", `"${match.name}" does not occur in the text of page ${match.page ?? "?"}`)
+  }
+
+  if (errors.length > 0) {
+    return { success: false, reason: "hallucination_guard", errors }
+  }
+
+  return {
+    success: true,
+    data: {
+      ...match,
+      brand: vendor.vendor_name,
+      vendor_name: vendor.vendor_name,
+      product_type: group.product_group,
+      sub_type: item || null,
+      bom_layer: group.bom_layer || null
+    }
+  }
+}
+
+// ---------------- SELECTION ----------------
+export function createMatcherProvider(name = process.env.LLM_PROVIDER || "openai") {
+  switch (name) {
+    case "openai":
+      if (!process.env.OPENAI_API_KEY) {
+        throw new Error("OPENAI_API_KEY is required for LLM_PROVIDER=openai")
+      }
+      return createChatProvider({
+        name,
+        client: new OpenAI({ apiKey: process.env.OPENAI_API_KEY }),
+        model: process.env.OPENAI_MODEL || "gpt-4o",
+        structuredOutput: true
+      })
+    case "openai-compatible":
+      if (!process.env.LLM_BASE_URL || !process.env.LLM_MODEL) {
+        throw new Error("LLM_BASE_URL and LLM_MODEL are required for LLM_PROVIDER=openai-compatible")
+      }
+      return createChatProvider({
+        name,
+        // Local servers usually ignore the key, but the client insists on one
+        client: new OpenAI({ baseURL: process.env.LLM_BASE_URL, apiKey: process.env.LLM_API_KEY || "not-needed" }),
+        model: process.env.LLM_MODEL,
+        structuredOutput: ["1", "true", "yes"].includes(String(process.env.LLM_JSON_SCHEMA || "").toLowerCase())
+      })
+    case "rule-based":
+      return createRuleBasedProvider()
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}", expected one of: ${MATCHER_PROVIDERS.join(", ")}`)
+  }
+}
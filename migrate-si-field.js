@@ -1,19 +1,11 @@
 import dotenv from "dotenv"
-import { MongoClient } from "mongodb"
+import { connectDB, getDB, closeDB, INGEST_DB_NAME } from "./db.js"
 
 dotenv.config()
 
 // ---------------- CONFIG ----------------
-const MONGO_URI = process.env.MONGO_URI
-const DB_NAME = "inggestData"
 const COLLECTION_NAME = "products"
 
-// Validate required environment variables
-if (!MONGO_URI) {
-  console.error("❌ MONGO_URI is required")
-  process.exit(1)
-}
-
 // ---------------- LOGGER ----------------
 const log = {
   info: msg => console.log(`ℹ️  ${msg}`),
@@ -24,15 +16,11 @@ const log = {
 
 // ---------------- MIGRATION FUNCTION ----------------
 async function migrateSIField() {
-  const mongo = new MongoClient(MONGO_URI)
-  
   try {
     log.info("Connecting to MongoDB...")
-    await mongo.connect()
-    await mongo.db("admin").command({ ping: 1 })
-    log.success("MongoDB connected")
+    await connectDB()
 
-    const db = mongo.db(DB_NAME)
+    const db = getDB(INGEST_DB_NAME)
     const productCollection = db.collection(COLLECTION_NAME)
 
     log.info(`Checking for products missing 'si' field in collection '${COLLECTION_NAME}'...`)
@@ -97,7 +85,7 @@ async function migrateSIField() {
     }
     throw error
   } finally {
-    await mongo.close()
+    await closeDB()
     log.info("MongoDB connection closed")
   }
 }
@@ -0,0 +1,92 @@
+import dotenv from "dotenv"
+import { connectDB, getDB, closeDB, INGEST_DB_NAME } from "./db.js"
+
+dotenv.config()
+
+// One-off: remove the stored 7-day presigned s3Link values, which are long expired.
+// Products keep s3Key and get the s3Bucket of their PDF; links are signed on request
+// by GET /files/:pdfId and GET /products/:id/source.
+//
+//   node migrate-strip-s3-links.js
+
+// ---------------- CONFIG ----------------
+const PDF_COLLECTION = "pdfExtracts"
+const PRODUCTS_COLLECTION = "products"
+
+// ---------------- LOGGER ----------------
+const log = {
+  info: msg => console.log(`ℹ️  ${msg}`),
+  success: msg => console.log(`✅ ${msg}`),
+  warn: msg => console.log(`⚠️  ${msg}`),
+  error: msg => console.error(`❌ ${msg}`)
+}
+
+// ---------------- MIGRATION FUNCTION ----------------
+// Products written before s3Bucket existed take it from the extraction of the same key
+async function backfillProductBuckets(pdfCollection, productCollection) {
+  const missingBucket = { s3Key: { $type: "string" }, s3Bucket: { $exists: false } }
+  const keys = await productCollection.distinct("s3Key", missingBucket)
+  log.info(`Found ${keys.length} PDF key(s) on products without s3Bucket`)
+
+  let updated = 0
+  for (const key of keys) {
+    const pdf = await pdfCollection.findOne({ s3Key: key }, { projection: { bucket: 1 } })
+    if (!pdf?.bucket) {
+      log.warn(`No extraction found for ${key}, leaving its products without s3Bucket`)
+      continue
+    }
+
+    const result = await productCollection.updateMany(
+      { ...missingBucket, s3Key: key },
+      { $set: { s3Bucket: pdf.bucket } }
+    )
+    updated += result.modifiedCount
+  }
+
+  return updated
+}
+
+async function stripS3Links() {
+  try {
+    log.info("Connecting to MongoDB...")
+    await connectDB()
+
+    const db = getDB(INGEST_DB_NAME)
+    const pdfCollection = db.collection(PDF_COLLECTION)
+    const productCollection = db.collection(PRODUCTS_COLLECTION)
+
+    const backfilled = await backfillProductBuckets(pdfCollection, productCollection)
+    log.success(`Set s3Bucket on ${backfilled} product(s)`)
+
+    const withLink = { s3Link: { $exists: true } }
+    for (const collection of [pdfCollection, productCollection]) {
+      const result = await collection.updateMany(withLink, { $unset: { s3Link: "" } })
+      log.success(`Removed s3Link from ${result.modifiedCount} document(s) in '${collection.collectionName}'`)
+
+      const remaining = await collection.countDocuments(withLink)
+      if (remaining > 0) {
+        log.warn(`Warning: ${remaining} document(s) in '${collection.collectionName}' still have s3Link`)
+      }
+    }
+  } catch (error) {
+    log.error(`Migration error: ${error.message}`)
+    if (error.stack) {
+      log.error(`Stack trace: ${error.stack}`)
+    }
+    throw error
+  } finally {
+    await closeDB()
+    log.info("MongoDB connection closed")
+  }
+}
+
+// ---------------- RUN ----------------
+stripS3Links()
+  .then(() => {
+    log.success("Migration script completed successfully")
+    process.exit(0)
+  })
+  .catch(err => {
+    log.error(`Fatal error: ${err.message}`)
+    process.exit(1)
+  })
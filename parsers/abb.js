@@ -0,0 +1,39 @@
+import { defineParser } from "./table-parser.js";
+
+export default defineParser({
+  vendor: "abb",
+  name: "ABB",
+  detectPatterns: [/\bABB\b/gi, /\bIRB\s*\d+/gi, /\b(?:IRC5|OmniCore)\b/gi],
+  modelPatterns: [/^IRB\s+\d+/i, /^YuMi/i, /^FlexPicker/i],
+  skipExact: ["—"],
+  skipPrefixes: ["www."],
+  skipContains: [
+    "articulated",
+    "robotics product",
+    "creating the flexible",
+    "facebook.com",
+    "twitter.com",
+    "youtube.com",
+    "linkedin.com",
+    "abb robotics is",
+    "additional information",
+    "we reserve",
+    "© copyright",
+    "specifications subject",
+    "parallel robots",
+    "scara robots",
+    "paint robots",
+    "compliant with iso"
+  ],
+  numericColumns: [
+    { field: "payloadKg", min: 1, max: 800, decimal: false },
+    { field: "reachM", min: 0.3, max: 5.5, decimal: true },
+    { field: "repeatabilityMm", min: 0.01, max: 0.30, decimal: true },
+    { field: "axes", min: 3, max: 14, decimal: false, modelRowOnly: true }
+  ],
+  textColumns: [
+    { field: "mounting", keywords: ["floor", "wall", "inverted", "shelf", "table", "tilted"], append: true },
+    { field: "protection", keywords: ["ip", "std:", "foundry", "clean room"], continuationKeywords: ["option:"], append: true },
+    { field: "controller", keywords: ["irc5", "omnicore"] }
+  ]
+});
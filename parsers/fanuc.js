@@ -0,0 +1,37 @@
+import { defineParser } from "./table-parser.js";
+
+// FANUC datasheets list reach in mm and use the R-30iB controller family
+export default defineParser({
+  vendor: "fanuc",
+  name: "FANUC",
+  detectPatterns: [/\bFANUC\b/gi, /\bR-30i[AB]\b/gi, /\b(?:LR Mate|ARC Mate|CRX-\d+)/gi, /\b[MR]-\d+i[A-Z]\b/g],
+  modelPatterns: [
+    /^LR\s+Mate\s+\d+/i,
+    /^ARC\s+Mate\s+\d+/i,
+    /^(?:M|R|P|SR|CR|CRX)-\d+i[A-Z]/i
+  ],
+  skipExact: ["—", "-"],
+  skipPrefixes: ["www."],
+  skipContains: [
+    "fanuc corporation",
+    "fanuc america",
+    "fanuc europe",
+    "all rights reserved",
+    "specifications are subject",
+    "subject to change",
+    "robot series",
+    "contact us",
+    "© fanuc"
+  ],
+  numericColumns: [
+    { field: "payloadKg", min: 0.5, max: 2300, decimal: false },
+    { field: "reachM", min: 300, max: 4700, decimal: false, scale: 0.001 },
+    { field: "repeatabilityMm", min: 0.01, max: 0.5, decimal: true },
+    { field: "axes", min: 3, max: 7, decimal: false, modelRowOnly: true }
+  ],
+  textColumns: [
+    { field: "mounting", keywords: ["floor", "wall", "ceiling", "upside-down", "angle", "rack"], append: true },
+    { field: "protection", keywords: ["ip", "clean room", "food"], append: true },
+    { field: "controller", keywords: ["r-30i", "r-j3"] }
+  ]
+});
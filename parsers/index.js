@@ -0,0 +1,55 @@
+import abb from "./abb.js";
+import fanuc from "./fanuc.js";
+import kuka from "./kuka.js";
+import yaskawa from "./yaskawa.js";
+import universalRobots from "./universal-robots.js";
+import { cellText } from "./table-parser.js";
+
+export { collectRows, parseRows } from "./table-parser.js";
+
+// Pages with text scanned when auto-detecting the vendor of an uploaded datasheet
+const DETECT_PAGES = 2;
+
+export const PARSERS = [abb, fanuc, kuka, yaskawa, universalRobots];
+
+export const listVendors = () => PARSERS.map((parser) => parser.vendor);
+
+export const getParser = (vendor) => {
+  if (!vendor || typeof vendor !== "string") return null;
+  const wanted = vendor.trim().toLowerCase();
+  return PARSERS.find((parser) =>
+    parser.vendor === wanted || parser.name.toLowerCase() === wanted
+  ) || null;
+};
+
+// Page text, or the text of its table cells for pages loaded without it
+const pageText = (page) => page.text ?? page.tables
+  .flatMap((table) => table.data)
+  .flatMap((row) => (row || []).map(cellText))
+  .join(" ");
+
+// Text of the first pages that have any, used for vendor detection; image-only cover
+// pages are skipped so they don't use up the pages scanned
+const leadingPagesText = (pages) => pages
+  .map(pageText)
+  .filter((text) => text.trim())
+  .slice(0, DETECT_PAGES)
+  .join(" ");
+
+// Pick the parser whose detect patterns occur most often on the first pages with text
+export const detectVendor = (pages) => {
+  const text = leadingPagesText(pages);
+  let best = null;
+  let bestScore = 0;
+
+  for (const parser of PARSERS) {
+    const score = parser.detectPatterns
+      .reduce((sum, pattern) => sum + (text.match(pattern) || []).length, 0);
+    if (score > bestScore) {
+      best = parser;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
@@ -0,0 +1,35 @@
+import { defineParser } from "./table-parser.js";
+
+// KUKA datasheets list reach in mm and the KR C4/KR C5 controller family
+export default defineParser({
+  vendor: "kuka",
+  name: "KUKA",
+  detectPatterns: [/\bKUKA\b/gi, /\bKR\s?C[45]\b/gi, /\bKR\s+\d+\s+R\d+/gi, /\bLBR\s+(?:iiwa|iisy|Med)\b/gi],
+  modelPatterns: [
+    /^KR\s+\d+/i,
+    /^LBR\s+(?:iiwa|iisy|Med)/i,
+    /^KMR\b/i
+  ],
+  skipExact: ["—", "-"],
+  skipPrefixes: ["www."],
+  skipContains: [
+    "kuka ag",
+    "kuka deutschland",
+    "kuka roboter",
+    "technical data",
+    "subject to change",
+    "all rights reserved",
+    "specifications and data"
+  ],
+  numericColumns: [
+    { field: "payloadKg", min: 0.5, max: 1300, decimal: false },
+    { field: "reachM", min: 300, max: 4000, decimal: false, scale: 0.001 },
+    { field: "repeatabilityMm", min: 0.005, max: 0.5, decimal: true },
+    { field: "axes", min: 4, max: 7, decimal: false, modelRowOnly: true }
+  ],
+  textColumns: [
+    { field: "mounting", keywords: ["floor", "wall", "ceiling", "angle"], append: true },
+    { field: "protection", keywords: ["ip", "foundry", "cleanroom", "clean room", "hygienic"], append: true },
+    { field: "controller", keywords: ["kr c4", "kr c5", "krc4", "krc5", "kr c5 micro", "sunrise"] }
+  ]
+});
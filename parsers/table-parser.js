@@ -0,0 +1,434 @@
+// Generic datasheet table parser. Each vendor module describes its model
+// names, rows to skip and column heuristics; this file turns the table rows
+// from PdfDocument into robot records using those rules.
+
+export const cellText = (cell) => String(cell || "").trim();
+
+// "IRB  1100 " and "irb 1100" are the same model; records are upserted on this key
+export const normalizeModel = (model) => cellText(model).toLowerCase().replace(/\s+/g, " ");
+
+// parseFloat that tolerates "± 0.02", "1,813" and trailing units ("850 mm")
+export const parseNumericCell = (cell) => {
+  const cleaned = cell
+    .replace(/^[±+]\s*/, "")
+    .replace(/(\d),(\d{3})\b/g, "$1$2");
+  return parseFloat(cleaned);
+};
+
+// Header cell text for each record field; vendors may extend these with headerPatterns
+export const HEADER_PATTERNS = {
+  payloadKg: [/payload/i, /handling capacity/i, /max\.?\s*load/i],
+  reachM: [/reach/i, /working range/i],
+  repeatabilityMm: [/repeatab/i],
+  axes: [/\baxes\b/i, /number of axes/i, /\bdof\b/i],
+  mounting: [/mounting/i, /installation/i],
+  protection: [/protection/i, /\bip\s*(?:rating|class)\b/i],
+  controller: [/controller/i, /control (?:cabinet|box)/i]
+};
+
+const NUMERIC_FIELDS = ["payloadKg", "reachM", "repeatabilityMm", "axes"];
+
+// Header cell of the model column, used to realign rows that are shifted by a column
+const MODEL_HEADER_PATTERN = /^(?:model|robot|robot model|type)$/i;
+
+// A header row needs at least this many recognised column titles
+const MIN_HEADER_COLUMNS = 2;
+
+export const isModelCell = (parser, cell) => {
+  if (!cell || typeof cell !== "string") return false;
+  return parser.modelPatterns.some((pattern) => pattern.test(cell.trim()));
+};
+
+export const shouldSkipRow = (parser, firstCell) => {
+  if (!firstCell) return true;
+  const trimmed = firstCell.trim().toLowerCase();
+  return parser.skipExact.includes(trimmed) ||
+         parser.skipPrefixes.some((prefix) => trimmed.startsWith(prefix)) ||
+         parser.skipContains.some((text) => trimmed.includes(text));
+};
+
+const headerFields = (parser, cell) => Object.entries(parser.headerPatterns)
+  .filter(([, patterns]) => patterns.some((pattern) => pattern.test(cell)))
+  .map(([field]) => field);
+
+// The field a header or label cell names, or null when it names none or several
+const headerField = (parser, cell) => {
+  const fields = headerFields(parser, cell);
+  return fields.length === 1 ? fields[0] : null;
+};
+
+// Scale for a numeric column, taken from the unit in its header when there is one
+const headerScale = (parser, field, cell) => {
+  if (field === "reachM") {
+    if (/\bmm\b/i.test(cell)) return 0.001;
+    if (/\(m\)|\bm\b/i.test(cell)) return 1;
+  }
+  const rule = parser.numericColumns.find((r) => r.field === field);
+  return rule?.scale || 1;
+};
+
+// Build { modelColumn, columns: { columnIndex: { field, header, scale } } } from a
+// header row, or null if it isn't one. A merged header cell naming several fields
+// ("Model Payload (kg) Reach (m)") gets field null, so its values go by range.
+export const buildColumnMap = (parser, row) => {
+  if (!row) return null;
+  const columns = {};
+  const seen = new Set();
+  let modelColumn = null;
+
+  row.forEach((rawCell, colIdx) => {
+    const cell = cellText(rawCell);
+    if (!cell || isModelCell(parser, cell)) return;
+    if (MODEL_HEADER_PATTERN.test(cell)) {
+      if (modelColumn === null) modelColumn = colIdx;
+      return;
+    }
+    const fields = headerFields(parser, cell);
+    if (fields.length > 1) {
+      columns[colIdx] = { field: null, header: cell };
+      return;
+    }
+    const [field] = fields;
+    if (!field || seen.has(field)) return;
+    seen.add(field);
+    columns[colIdx] = { field, header: cell, scale: headerScale(parser, field, cell) };
+  });
+
+  return seen.size >= MIN_HEADER_COLUMNS ? { modelColumn, columns } : null;
+};
+
+const hasModelCell = (parser, row) =>
+  row.slice(0, parser.modelColumns).some((cell) => isModelCell(parser, cellText(cell)));
+
+// Flatten every table on every page into { cells, page, tableIndex } rows, dropping
+// the vendor's noise rows. Header rows are always kept so parseRows can build a
+// column map from them. Pass a `dropped` array to collect the rows that were skipped.
+export const collectRows = (parser, pages, dropped = null) => {
+  const rows = [];
+  for (const page of pages) {
+    page.tables.forEach((table, tableIndex) => {
+      for (const row of table.data) {
+        const entry = { cells: row, page: page.pageNumber, tableIndex };
+        if (buildColumnMap(parser, row)) {
+          rows.push(entry);
+          continue;
+        }
+        if (!row) continue;
+        // Keep model rows whose first column is an empty image cell
+        if (!row[0] && !hasModelCell(parser, row)) {
+          dropped?.push({ ...entry, reason: "empty first cell" });
+          continue;
+        }
+        const firstCell = cellText(row[0]);
+        if (firstCell && shouldSkipRow(parser, firstCell)) {
+          dropped?.push({ ...entry, reason: "skip rule" });
+          continue;
+        }
+        rows.push(entry);
+      }
+    });
+  }
+  return rows;
+};
+
+const matchesNumericRule = (rule, cell, numValue) => {
+  if (isNaN(numValue)) return false;
+  if (rule.decimal !== undefined && cell.includes(".") !== rule.decimal) return false;
+  return numValue >= rule.min && numValue <= rule.max;
+};
+
+// Returns the keyword that matched, or undefined
+const matchTextRule = (rule, cell, isModelRow) => {
+  const lower = cell.toLowerCase();
+  const keywords = isModelRow
+    ? rule.keywords
+    : [...rule.keywords, ...(rule.continuationKeywords || [])];
+  return keywords.find((keyword) => lower.includes(keyword));
+};
+
+const describeRangeRule = (rule) => {
+  const kind = rule.decimal === undefined ? "" : rule.decimal ? " decimal" : " integer";
+  return `range ${rule.field} ${rule.min}-${rule.max}${kind}`;
+};
+
+// Record how a cell ended up in a field when parseRows runs with { trace: true }
+const traceAssignment = (record, rowState, field, cell, value, rule, action) => {
+  if (!record.trace) return;
+  record.trace.push({
+    field,
+    value,
+    action,
+    cell,
+    column: rowState.colIdx,
+    page: rowState.page,
+    tableIndex: rowState.tableIndex,
+    rule
+  });
+};
+
+const scaleValue = (scale, numValue) =>
+  scale && scale !== 1 ? Number((numValue * scale).toFixed(6)) : numValue;
+
+// Fields that can differ per variant of a model (e.g. the long-arm version of a robot)
+export const VARIANT_FIELDS = ["payloadKg", "reachM", "repeatabilityMm"];
+
+// The variant being filled for the current model and the fields set on it
+const createVariantState = () => ({ variant: null, assigned: new Set() });
+
+// Rows keep filling the current variant, so row-per-field datasheets ("Payload 5 kg",
+// "Reach 850 mm") give one variant. A field that is already set starts another,
+// which inherits the fields it doesn't mention from the previous one.
+const setVariantField = (record, rowState, field, value) => {
+  const state = rowState.variantState;
+  if (!state.variant || state.assigned.has(field)) {
+    state.variant = { payloadKg: null, reachM: null, repeatabilityMm: null, ...state.variant };
+    state.assigned = new Set();
+    record.variants.push(state.variant);
+  }
+  state.variant[field] = value;
+  state.assigned.add(field);
+};
+
+const isFieldSet = (record, rowState, field) => VARIANT_FIELDS.includes(field)
+  ? rowState.variantState.assigned.has(field)
+  : record[field] !== null;
+
+// A rule with a unit only takes cells that carry it ("5 kg") or that follow a label
+// cell for its field in the same row, so "6 rotating joints" isn't read as a payload
+const hasUnitOrLabel = (rule, rowState, cell) =>
+  !rule.unit || rule.unit.test(cell) || rowState.labelField === rule.field;
+
+const setNumericField = (record, rowState, rule, cell, value, strategy, ruleText) => {
+  if (!(rule.field in record.fieldStrategies)) {
+    record.fieldStrategies[rule.field] = strategy;
+  }
+  if (VARIANT_FIELDS.includes(rule.field)) {
+    setVariantField(record, rowState, rule.field, value);
+    traceAssignment(record, rowState, rule.field, cell, value, ruleText, `variant ${record.variants.length - 1}`);
+  } else if (record[rule.field] === null) {
+    record[rule.field] = value;
+    traceAssignment(record, rowState, rule.field, cell, value, ruleText, "set");
+  }
+};
+
+const setTextField = (record, rowState, rule, cell, isModelRow, strategy, ruleText) => {
+  if (record[rule.field] === null) {
+    record[rule.field] = cell;
+    record.fieldStrategies[rule.field] = strategy;
+    traceAssignment(record, rowState, rule.field, cell, cell, ruleText, "set");
+  } else if (!isModelRow && rule.append) {
+    record[rule.field] += ", " + cell;
+    traceAssignment(record, rowState, rule.field, cell, cell, ruleText, "append");
+  }
+};
+
+// Range heuristics, used when the table has no recognisable header row.
+// Model row: the first rule whose range matches AND whose field is still empty wins.
+// Continuation row: the first matching rule wins.
+const assignByRange = (parser, record, rowState, cell, isModelRow) => {
+  const numValue = parseNumericCell(cell);
+
+  for (const rule of parser.numericColumns) {
+    if (!isModelRow && rule.modelRowOnly) continue;
+    if (!matchesNumericRule(rule, cell, numValue)) continue;
+    if (!hasUnitOrLabel(rule, rowState, cell)) continue;
+    if (isModelRow && isFieldSet(record, rowState, rule.field)) continue;
+
+    setNumericField(record, rowState, rule, cell, scaleValue(rule.scale, numValue), "range", describeRangeRule(rule));
+    return;
+  }
+
+  for (const rule of parser.textColumns) {
+    const keyword = matchTextRule(rule, cell, isModelRow);
+    if (!keyword) continue;
+    setTextField(record, rowState, rule, cell, isModelRow, "keyword", `keyword ${rule.field} "${keyword}"`);
+    return;
+  }
+};
+
+// Cells under merged headers can hold several values ("4 0.475"); each goes by range
+const assignByRangeParts = (parser, record, rowState, cell, isModelRow) => {
+  for (const part of cell.split(/\s+(?=[±+]?\d)/)) {
+    assignByRange(parser, record, rowState, part, isModelRow);
+  }
+};
+
+// The vendor rule's min/max in record units, so a "Reach (m)" column is checked
+// against a rule written in millimetres
+const withinRuleRange = (rule, value) => {
+  if (rule.min === undefined || rule.max === undefined) return true;
+  const scale = rule.scale || 1;
+  return value >= scaleValue(scale, rule.min) && value <= scaleValue(scale, rule.max);
+};
+
+// Header mapping: the column decides the field, as long as the value is in range
+// for it. Values that aren't (a shifted or merged header) fall back to the range heuristics.
+const assignByHeader = (parser, record, rowState, cell, column, isModelRow) => {
+  const { field, scale } = column;
+
+  if (NUMERIC_FIELDS.includes(field)) {
+    const rule = parser.numericColumns.find((r) => r.field === field) || { field };
+    if (!isModelRow && rule.modelRowOnly) return;
+    const numValue = parseNumericCell(cell);
+    if (isNaN(numValue)) return;
+    const value = scaleValue(scale, numValue);
+    if (!withinRuleRange(rule, value)) {
+      assignByRangeParts(parser, record, rowState, cell, isModelRow);
+      return;
+    }
+    setNumericField(record, rowState, rule, cell, value, "header", `header "${column.header}"`);
+    return;
+  }
+
+  // A bare number under a text header is a shifted column too
+  if (/^[±+]?\s*\d[\d.,]*$/.test(cell)) {
+    assignByRangeParts(parser, record, rowState, cell, isModelRow);
+    return;
+  }
+  const rule = parser.textColumns.find((r) => r.field === field) || { field, append: true };
+  setTextField(record, rowState, rule, cell, isModelRow, "header", `header "${column.header}"`);
+};
+
+// offset shifts header column indexes onto this row's columns
+const assignRow = (parser, record, variantState, entry, startIdx, columnMap, offset, isModelRow) => {
+  const { cells: row, page, tableIndex } = entry;
+  const rowState = { variantState, labelField: null, page, tableIndex, colIdx: null };
+
+  for (let colIdx = startIdx; colIdx < row.length; colIdx++) {
+    const cell = cellText(row[colIdx]);
+    if (!cell) continue;
+    rowState.colIdx = colIdx;
+
+    if (columnMap) {
+      const column = columnMap.columns[colIdx - offset];
+      if (column?.field) {
+        assignByHeader(parser, record, rowState, cell, column, isModelRow);
+      } else if (column) {
+        assignByRangeParts(parser, record, rowState, cell, isModelRow);
+      }
+    } else {
+      // Text cells can label the values after them ("Payload", "5 kg")
+      if (isNaN(parseNumericCell(cell))) {
+        rowState.labelField = headerField(parser, cell) || rowState.labelField;
+      }
+      assignByRange(parser, record, rowState, cell, isModelRow);
+    }
+  }
+};
+
+const createRecord = (parser, model, page, tableIndex, trace) => ({
+  model,
+  modelNorm: normalizeModel(model),
+  vendor: parser.vendor,
+  variants: [],
+  mounting: null,
+  protection: null,
+  axes: null,
+  controller: null,
+  remark: null,
+  fieldStrategies: {},
+  source: { page, tableIndex },
+  ...(trace && { trace: [] }),
+  createdAt: new Date()
+});
+
+// Drop repeated variants and add <field>Min/<field>Max summaries for range queries
+const summarizeVariants = (record) => {
+  const seen = new Set();
+  const variants = record.variants.filter((variant) => {
+    const key = VARIANT_FIELDS.map((field) => variant[field]).join("|");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  const summary = {};
+  for (const field of VARIANT_FIELDS) {
+    const values = variants.map((variant) => variant[field]).filter((value) => typeof value === "number");
+    summary[`${field}Min`] = values.length > 0 ? Math.min(...values) : null;
+    summary[`${field}Max`] = values.length > 0 ? Math.max(...values) : null;
+  }
+
+  return { ...record, variants, ...summary };
+};
+
+// Group rows by model - when we find a model row, collect subsequent rows until next model.
+// The most recent header row applies until another one is found, so tables
+// continued on the next page keep their column map.
+// With { trace: true } every record also lists the cell, column and rule behind each value.
+export const parseRows = (parser, rows, { trace = false } = {}) => {
+  const records = [];
+  let currentRecord = null;
+  let variantState = null;
+  let columnMap = null;
+  let offset = 0;
+
+  for (const entry of rows) {
+    const { cells: row, page, tableIndex } = entry;
+    const headerMap = buildColumnMap(parser, row);
+    if (headerMap) {
+      columnMap = headerMap;
+      continue;
+    }
+
+    // Check the first few columns for the model (column 0 might be an image)
+    let modelCell = null;
+    let modelColIdx = -1;
+
+    for (let j = 0; j < Math.min(parser.modelColumns, row.length); j++) {
+      const cell = cellText(row[j]);
+      if (isModelCell(parser, cell)) {
+        modelCell = cell;
+        modelColIdx = j;
+        break;
+      }
+    }
+
+    if (modelCell) {
+      if (currentRecord) {
+        records.push(summarizeVariants(currentRecord));
+      }
+      currentRecord = createRecord(parser, modelCell, page, tableIndex, trace);
+      variantState = createVariantState();
+      currentRecord.trace?.push({
+        field: "model",
+        value: modelCell,
+        action: "set",
+        cell: modelCell,
+        column: modelColIdx,
+        page,
+        tableIndex,
+        rule: "model pattern"
+      });
+      offset = columnMap?.modelColumn != null ? modelColIdx - columnMap.modelColumn : 0;
+      // Start after the model column
+      assignRow(parser, currentRecord, variantState, entry, modelColIdx + 1, columnMap, offset, true);
+    }
+    // This row belongs to the current model - it's continuation data
+    else if (currentRecord) {
+      assignRow(parser, currentRecord, variantState, entry, 0, columnMap, offset, false);
+    }
+  }
+
+  if (currentRecord) {
+    records.push(summarizeVariants(currentRecord));
+  }
+
+  return records;
+};
+
+// Build a full parser definition from a vendor module, filling in defaults
+export const defineParser = ({ headerPatterns = {}, ...definition }) => ({
+  modelColumns: 2,
+  skipExact: [],
+  skipPrefixes: [],
+  skipContains: [],
+  numericColumns: [],
+  textColumns: [],
+  ...definition,
+  headerPatterns: Object.fromEntries(
+    Object.entries(HEADER_PATTERNS).map(([field, patterns]) =>
+      [field, [...patterns, ...(headerPatterns[field] || [])]]
+    )
+  )
+});
@@ -0,0 +1,30 @@
+import { defineParser } from "./table-parser.js";
+
+// Universal Robots datasheets are per-model, so the model usually appears as
+// a heading row followed by "Payload 5 kg", "Reach 850 mm"-style rows
+export default defineParser({
+  vendor: "universal-robots",
+  name: "Universal Robots",
+  detectPatterns: [/\bUniversal Robots\b/gi, /\bUR\s?-?\d+e?\b/gi, /\be-Series\b/gi, /\bPolyScope\b/gi],
+  modelPatterns: [/^UR\s?-?\d+e?\b/i],
+  skipExact: ["—", "-"],
+  skipPrefixes: ["www."],
+  skipContains: [
+    "universal robots a/s",
+    "all rights reserved",
+    "subject to change",
+    "specification",
+    "features"
+  ],
+  numericColumns: [
+    { field: "payloadKg", min: 1, max: 35, decimal: false, unit: /\bkg\b/i },
+    { field: "reachM", min: 400, max: 2000, decimal: false, scale: 0.001 },
+    { field: "repeatabilityMm", min: 0.01, max: 0.2, decimal: true },
+    { field: "axes", min: 6, max: 6, decimal: false, modelRowOnly: true }
+  ],
+  textColumns: [
+    { field: "mounting", keywords: ["any orientation", "any angle", "floor", "wall", "ceiling"], append: true },
+    { field: "protection", keywords: ["ip5", "ip6", "iso class"], append: true },
+    { field: "controller", keywords: ["control box", "cb3", "e-series"] }
+  ]
+});
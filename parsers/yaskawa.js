@@ -0,0 +1,33 @@
+import { defineParser } from "./table-parser.js";
+
+// Yaskawa Motoman datasheets list reach in mm and the YRC/DX controller family
+export default defineParser({
+  vendor: "yaskawa",
+  name: "Yaskawa",
+  detectPatterns: [/\bYASKAWA\b/gi, /\bMOTOMAN\b/gi, /\b(?:YRC1000|DX200|FS100)\b/gi],
+  modelPatterns: [
+    /^(?:MOTOMAN[-\s]+)?(?:GP|HC|AR|MH|MPX|MPP|MPK|SP|PL|SG|MS|HP|MA)\d+/i
+  ],
+  skipExact: ["—", "-"],
+  skipPrefixes: ["www."],
+  skipContains: [
+    "yaskawa electric",
+    "yaskawa america",
+    "yaskawa europe",
+    "motoman robotics",
+    "all rights reserved",
+    "subject to change",
+    "specifications are subject"
+  ],
+  numericColumns: [
+    { field: "payloadKg", min: 0.5, max: 800, decimal: false },
+    { field: "reachM", min: 300, max: 4500, decimal: false, scale: 0.001 },
+    { field: "repeatabilityMm", min: 0.01, max: 0.5, decimal: true },
+    { field: "axes", min: 4, max: 15, decimal: false, modelRowOnly: true }
+  ],
+  textColumns: [
+    { field: "mounting", keywords: ["floor", "wall", "ceiling", "tilt"], append: true },
+    { field: "protection", keywords: ["ip", "clean room", "food grade"], append: true },
+    { field: "controller", keywords: ["yrc1000", "dx200", "fs100", "dx100"] }
+  ]
+});
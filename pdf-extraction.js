@@ -0,0 +1,356 @@
+import {
+  TextractClient,
+  StartDocumentAnalysisCommand,
+  GetDocumentAnalysisCommand
+} from "@aws-sdk/client-textract"
+import { GetObjectCommand } from "@aws-sdk/client-s3"
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs"
+import { tablesFromTextItems } from "./pdf-tables.js"
+
+// Pluggable PDF analysis for the ingestion scripts. Every backend implements
+//   analyzeDocument({ bucket, key, buffer }) -> { DocumentMetadata: { Pages }, Blocks }
+// and returns Textract-shaped blocks (PAGE, LINE, WORD, TABLE, CELL), so the
+// per-page text and table handling downstream doesn't care which one ran.
+//
+//   PDF_EXTRACTION_BACKEND=textract   AWS Textract on the S3 object (default)
+//   PDF_EXTRACTION_BACKEND=local      pdfjs text and tables, no Textract
+export const EXTRACTION_BACKENDS = ["textract", "local"]
+
+const DEFAULT_POLL_INTERVAL = 3000
+
+// Text items whose baselines are this close (in PDF units) are on the same line
+const LINE_TOLERANCE = 2
+
+// ---------------- LOGGER ----------------
+const log = {
+  info: msg => console.log(`ℹ️  ${msg}`),
+  success: msg => console.log(`✅ ${msg}`),
+  warn: msg => console.log(`⚠️  ${msg}`),
+  error: msg => console.error(`❌ ${msg}`)
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms))
+
+// ---------------- BLOCK HELPERS ----------------
+export function extractText(blocks) {
+  return blocks
+    .filter(b => b.BlockType === "LINE")
+    .map(b => b.Text)
+    .join("\n")
+}
+
+export function extractTextByPage(blocks) {
+  const pages = {}
+
+  for (const block of blocks) {
+    if (block.BlockType === "LINE" && block.Page !== undefined) {
+      const pageNum = block.Page
+      if (!pages[pageNum]) {
+        pages[pageNum] = []
+      }
+      pages[pageNum].push(block.Text)
+    }
+  }
+
+  return Object.keys(pages).map(pageNum => ({
+    page: parseInt(pageNum),
+    text: pages[pageNum].join("\n")
+  }))
+}
+
+// ---------------- TABLES AND FORMS ----------------
+function relatedIds(block, type) {
+  return (block.Relationships || [])
+    .filter(rel => rel.Type === type)
+    .flatMap(rel => rel.Ids)
+}
+
+// Text of a CELL or KEY_VALUE_SET block from its WORD (and checkbox) children
+function childText(block, blocksById) {
+  return relatedIds(block, "CHILD")
+    .map(id => blocksById.get(id))
+    .filter(Boolean)
+    .map(child => {
+      if (child.BlockType === "WORD") return child.Text
+      if (child.BlockType === "SELECTION_ELEMENT") return child.SelectionStatus === "SELECTED" ? "[x]" : "[ ]"
+      return ""
+    })
+    .filter(Boolean)
+    .join(" ")
+}
+
+// TABLE -> CELL -> WORD into row-major string grids. A spanning cell keeps its text
+// in its top-left position; the positions it covers stay empty
+export function extractTables(blocks, blocksById = new Map(blocks.map(b => [b.Id, b]))) {
+  const tables = []
+
+  for (const table of blocks.filter(b => b.BlockType === "TABLE")) {
+    const cells = relatedIds(table, "CHILD")
+      .map(id => blocksById.get(id))
+      .filter(cell => cell?.BlockType === "CELL")
+    if (cells.length === 0) continue
+
+    const rowCount = Math.max(...cells.map(cell => cell.RowIndex + (cell.RowSpan || 1) - 1))
+    const columnCount = Math.max(...cells.map(cell => cell.ColumnIndex + (cell.ColumnSpan || 1) - 1))
+    const rows = Array.from({ length: rowCount }, () => Array(columnCount).fill(""))
+
+    for (const cell of cells) {
+      rows[cell.RowIndex - 1][cell.ColumnIndex - 1] = childText(cell, blocksById)
+    }
+
+    tables.push({ page: table.Page, rowCount, columnCount, rows })
+  }
+
+  return tables
+}
+
+// KEY_VALUE_SET pairs: the KEY block points at its VALUE block, both hold WORD children
+export function extractForms(blocks, blocksById = new Map(blocks.map(b => [b.Id, b]))) {
+  const forms = []
+
+  for (const block of blocks) {
+    if (block.BlockType !== "KEY_VALUE_SET" || !block.EntityTypes?.includes("KEY")) continue
+
+    const key = childText(block, blocksById)
+    if (!key) continue
+
+    const value = relatedIds(block, "VALUE")
+      .map(id => blocksById.get(id))
+      .filter(Boolean)
+      .map(valueBlock => childText(valueBlock, blocksById))
+      .join(" ")
+
+    forms.push({
+      page: block.Page,
+      key: key.replace(/:\s*$/, ""),
+      value: value || null,
+      confidence: block.Confidence ?? null
+    })
+  }
+
+  return forms
+}
+
+// Per-page text, tables and forms for the pdfExtracts pagesData array
+export function extractPagesData(blocks) {
+  const blocksById = new Map(blocks.map(b => [b.Id, b]))
+  const pages = new Map()
+  const pageEntry = pageNum => {
+    if (!pages.has(pageNum)) pages.set(pageNum, { page: pageNum, text: "", tables: [], forms: [] })
+    return pages.get(pageNum)
+  }
+
+  for (const { page, text } of extractTextByPage(blocks)) {
+    pageEntry(page).text = text
+  }
+  for (const { page, ...table } of extractTables(blocks, blocksById)) {
+    if (page !== undefined) pageEntry(page).tables.push(table)
+  }
+  for (const { page, ...field } of extractForms(blocks, blocksById)) {
+    if (page !== undefined) pageEntry(page).forms.push(field)
+  }
+
+  return [...pages.values()].sort((a, b) => a.page - b.page)
+}
+
+// ---------------- COVERAGE ----------------
+// How many of the pages the document reports actually came back with text. An
+// incomplete extraction is stored with complete: false rather than passed off as whole
+export function computeCoverage(result) {
+  const pagesReported = result.DocumentMetadata?.Pages || 0
+  const pagesWithText = new Set(
+    (result.Blocks || [])
+      .filter(b => b.BlockType === "LINE" && b.Page !== undefined && b.Text?.trim())
+      .map(b => b.Page)
+  )
+
+  const missingPages = []
+  for (let page = 1; page <= pagesReported; page++) {
+    if (!pagesWithText.has(page)) missingPages.push(page)
+  }
+
+  return {
+    pagesReported,
+    pagesWithText: pagesWithText.size,
+    missingPages,
+    ratio: pagesReported > 0 ? Number((pagesWithText.size / pagesReported).toFixed(4)) : 0,
+    complete: pagesReported > 0 && missingPages.length === 0
+  }
+}
+
+// ---------------- TEXTRACT BACKEND ----------------
+export function createTextractBackend({ textract, pollInterval = DEFAULT_POLL_INTERVAL } = {}) {
+  const client = textract || new TextractClient({ region: process.env.AWS_REGION })
+
+  return {
+    name: "textract",
+    async analyzeDocument({ bucket, key }) {
+      log.info(`Starting Textract job for ${key}`)
+
+      const start = await client.send(
+        new StartDocumentAnalysisCommand({
+          DocumentLocation: {
+            S3Object: { Bucket: bucket, Name: key }
+          },
+          FeatureTypes: ["TABLES", "FORMS"]
+        })
+      )
+
+      const jobId = start.JobId
+      let status = "IN_PROGRESS"
+      let result
+
+      while (status === "IN_PROGRESS") {
+        await sleep(pollInterval)
+
+        result = await client.send(
+          new GetDocumentAnalysisCommand({ JobId: jobId })
+        )
+
+        status = result.JobStatus
+        log.info(`Textract status: ${status}`)
+      }
+
+      if (status !== "SUCCEEDED") {
+        throw new Error("Textract failed")
+      }
+
+      // Results come back in pages of up to 1000 blocks; follow NextToken for the rest
+      const blocks = [...(result.Blocks || [])]
+      let nextToken = result.NextToken
+      let resultPages = 1
+      while (nextToken) {
+        const next = await client.send(
+          new GetDocumentAnalysisCommand({ JobId: jobId, NextToken: nextToken })
+        )
+        blocks.push(...(next.Blocks || []))
+        nextToken = next.NextToken
+        resultPages++
+      }
+
+      log.success(`Textract completed for ${key} (${blocks.length} blocks in ${resultPages} result page(s))`)
+      return { ...result, Blocks: blocks, NextToken: undefined }
+    }
+  }
+}
+
+// ---------------- LOCAL BACKEND ----------------
+async function downloadObject(s3, bucket, key) {
+  if (!s3) {
+    throw new Error("The local backend needs a PDF buffer or an S3 client to download it")
+  }
+  const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+  return Buffer.from(await response.Body.transformToByteArray())
+}
+
+// Group pdfjs text items into lines: same baseline, read left to right
+function textLines(items) {
+  const lines = []
+  const sorted = items
+    .filter(item => item.str && item.str.trim())
+    .sort((a, b) => b.transform[5] - a.transform[5] || a.transform[4] - b.transform[4])
+
+  for (const item of sorted) {
+    const y = item.transform[5]
+    const line = lines[lines.length - 1]
+    if (line && Math.abs(line.y - y) <= LINE_TOLERANCE) {
+      line.items.push(item)
+    } else {
+      lines.push({ y, items: [item] })
+    }
+  }
+
+  return lines.map(line => line.items
+    .sort((a, b) => a.transform[4] - b.transform[4])
+    .map(item => item.str.trim())
+    .join(" "))
+}
+
+// Emits blocks the way Textract relates them: PAGE -> LINE -> WORD, TABLE -> CELL -> WORD
+function blockBuilder() {
+  const blocks = []
+  let nextId = 0
+
+  const add = (block) => {
+    const id = `local-${++nextId}`
+    blocks.push({ Id: id, ...block })
+    return id
+  }
+
+  const addWords = (page, text) => text.split(/\s+/).filter(Boolean)
+    .map(word => add({ BlockType: "WORD", Page: page, Text: word }))
+
+  const children = ids => ids.length > 0 ? [{ Type: "CHILD", Ids: ids }] : []
+
+  return {
+    blocks,
+    addPage(page, lines, tables) {
+      const childIds = []
+      for (const text of lines) {
+        const wordIds = addWords(page, text)
+        childIds.push(add({ BlockType: "LINE", Page: page, Text: text, Relationships: children(wordIds) }))
+      }
+
+      for (const table of tables) {
+        const cellIds = []
+        table.data.forEach((row, rowIndex) => {
+          row.forEach((cell, columnIndex) => {
+            const text = String(cell ?? "").trim()
+            cellIds.push(add({
+              BlockType: "CELL",
+              Page: page,
+              RowIndex: rowIndex + 1,
+              ColumnIndex: columnIndex + 1,
+              Relationships: children(addWords(page, text))
+            }))
+          })
+        })
+        childIds.push(add({ BlockType: "TABLE", Page: page, Relationships: children(cellIds) }))
+      }
+
+      add({ BlockType: "PAGE", Page: page, Relationships: children(childIds) })
+    }
+  }
+}
+
+export function createLocalBackend({ s3 = null } = {}) {
+  return {
+    name: "local",
+    async analyzeDocument({ bucket, key, buffer }) {
+      const pdfBuffer = buffer || await downloadObject(s3, bucket, key)
+
+      // Lines and tables both come from the same pass over each page's text items
+      const pdf = await getDocument({ data: new Uint8Array(pdfBuffer) }).promise
+      const pageCount = pdf.numPages
+      const builder = blockBuilder()
+      try {
+        for (let pageNum = 1; pageNum <= pageCount; pageNum++) {
+          const page = await pdf.getPage(pageNum)
+          const content = await page.getTextContent()
+          builder.addPage(pageNum, textLines(content.items), tablesFromTextItems(content.items))
+          page.cleanup()
+        }
+      } finally {
+        await pdf.destroy()
+      }
+
+      log.success(`Local extraction completed for ${key || "buffer"} (${pageCount} page(s))`)
+      return {
+        DocumentMetadata: { Pages: pageCount },
+        Blocks: builder.blocks
+      }
+    }
+  }
+}
+
+// ---------------- SELECTION ----------------
+export function createExtractionBackend(name = process.env.PDF_EXTRACTION_BACKEND || "textract", clients = {}) {
+  switch (name) {
+    case "textract":
+      return createTextractBackend(clients)
+    case "local":
+      return createLocalBackend(clients)
+    default:
+      throw new Error(`Unknown PDF_EXTRACTION_BACKEND "${name}", expected one of: ${EXTRACTION_BACKENDS.join(", ")}`)
+  }
+}
@@ -0,0 +1,146 @@
+import crypto from "crypto"
+import zlib from "zlib"
+
+// The legacy build is the one that runs on Node 20; loaded up front so a broken
+// install stops the script instead of quietly yielding no images
+import { getDocument, OPS } from "pdfjs-dist/legacy/build/pdf.mjs"
+
+// Embedded raster images per PDF page, via the pdfjs operator list. Each image is
+// re-encoded as PNG, filtered and deduplicated by the SHA-256 of that PNG:
+//   IMAGE_MIN_SIZE        smallest width and height kept, in pixels (default 64)
+//   IMAGE_HASH_BLOCKLIST  comma-separated SHA-256s never kept (vendor logos, icons)
+
+const DEFAULT_MIN_SIZE = 64
+
+// pdfjs ImageKind values for decoded image data
+const GRAYSCALE_1BPP = 1
+const RGB_24BPP = 2
+const RGBA_32BPP = 3
+
+// ---------------- CONFIG ----------------
+export function imageFilterConfig(env = process.env) {
+  return {
+    minSize: parseInt(env.IMAGE_MIN_SIZE) || DEFAULT_MIN_SIZE,
+    blocklist: new Set(
+      (env.IMAGE_HASH_BLOCKLIST || "").split(",").map(hash => hash.trim().toLowerCase()).filter(Boolean)
+    )
+  }
+}
+
+// ---------------- PNG ENCODING ----------------
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length)
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(zlib.crc32(typeAndData))
+  return Buffer.concat([length, typeAndData, crc])
+}
+
+// 1-bit images are expanded to 8-bit grayscale; PNG rows each start with filter byte 0
+export function encodePNG({ width, height, kind, data }) {
+  const channels = { [GRAYSCALE_1BPP]: 1, [RGB_24BPP]: 3, [RGBA_32BPP]: 4 }[kind]
+  if (!channels) {
+    throw new Error(`Unsupported image kind ${kind}`)
+  }
+
+  const rowBytes = width * channels
+  const raw = Buffer.alloc((rowBytes + 1) * height)
+  const packedRowBytes = Math.ceil(width / 8)
+
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (rowBytes + 1) + 1
+    if (kind === GRAYSCALE_1BPP) {
+      for (let x = 0; x < width; x++) {
+        const bit = (data[y * packedRowBytes + (x >> 3)] >> (7 - (x & 7))) & 1
+        raw[rowStart + x] = bit ? 255 : 0
+      }
+    } else {
+      raw.set(data.subarray(y * rowBytes, (y + 1) * rowBytes), rowStart)
+    }
+  }
+
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width, 0)
+  header.writeUInt32BE(height, 4)
+  header[8] = 8
+  header[9] = { [GRAYSCALE_1BPP]: 0, [RGB_24BPP]: 2, [RGBA_32BPP]: 6 }[kind]
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0))
+  ])
+}
+
+// ---------------- EXTRACTION ----------------
+// Image XObjects are resolved asynchronously; "g_" ids live in the document-wide store
+function resolveImage(page, objId) {
+  const store = objId.startsWith("g_") ? page.commonObjs : page.objs
+  return new Promise(resolve => store.get(objId, resolve))
+}
+
+async function pageImages(page) {
+  const operatorList = await page.getOperatorList()
+  const images = []
+
+  for (let i = 0; i < operatorList.fnArray.length; i++) {
+    const fn = operatorList.fnArray[i]
+    const args = operatorList.argsArray[i]
+    if (fn === OPS.paintImageXObject || fn === OPS.paintImageXObjectRepeat) {
+      images.push(await resolveImage(page, args[0]))
+    } else if (fn === OPS.paintInlineImageXObject) {
+      images.push(args[0])
+    }
+  }
+
+  return images.filter(image => image?.data && image.width && image.height)
+}
+
+// Returns [{ sha256, width, height, pages, buffer }], one entry per distinct image with
+// every page it appears on, plus counts of what the filters dropped
+export async function extractPdfImages(pdfBuffer, { minSize = DEFAULT_MIN_SIZE, blocklist = new Set() } = {}) {
+  const pdf = await getDocument({ data: new Uint8Array(pdfBuffer), isOffscreenCanvasSupported: false }).promise
+
+  const bySha = new Map()
+  const dropped = { small: 0, blocklisted: 0, unsupported: 0 }
+
+  try {
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      const page = await pdf.getPage(pageNum)
+      for (const image of await pageImages(page)) {
+        if (image.width < minSize || image.height < minSize) {
+          dropped.small++
+          continue
+        }
+
+        let buffer
+        try {
+          buffer = encodePNG(image)
+        } catch {
+          dropped.unsupported++
+          continue
+        }
+
+        const sha256 = crypto.createHash("sha256").update(buffer).digest("hex")
+        if (blocklist.has(sha256)) {
+          dropped.blocklisted++
+          continue
+        }
+
+        const existing = bySha.get(sha256)
+        if (existing) {
+          if (!existing.pages.includes(pageNum)) existing.pages.push(pageNum)
+        } else {
+          bySha.set(sha256, { sha256, width: image.width, height: image.height, pages: [pageNum], buffer })
+        }
+      }
+      page.cleanup()
+    }
+  } finally {
+    await pdf.destroy()
+  }
+
+  return { images: [...bySha.values()], dropped }
+}
@@ -0,0 +1,123 @@
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { createRequire } from "module"
+import { PutObjectCommand } from "@aws-sdk/client-s3"
+// The legacy build carries the canvas, Path2D and ImageData polyfills (from
+// @napi-rs/canvas) that rendering needs in Node
+import { getDocument } from "pdfjs-dist/legacy/build/pdf.mjs"
+
+// PNG thumbnail and medium preview of every PDF page, so a reviewer can see the page
+// a product was matched on without opening the whole catalog:
+//   PAGE_THUMBNAIL_WIDTH   thumbnail width in pixels (default 200)
+//   PAGE_PREVIEW_WIDTH     preview width in pixels (default 800)
+//   PAGE_PREVIEW_STORAGE   s3 (default, IMAGE_S3_BUCKET) or local
+//   PAGE_PREVIEW_DIR       directory for local storage (default page-previews)
+// Keys follow the catalog image layout: catalog/pdfs/<pdfId>/page/<page>/<sha256>/<size>.png
+
+const DEFAULT_THUMBNAIL_WIDTH = 200
+const DEFAULT_PREVIEW_WIDTH = 800
+const DEFAULT_IMAGE_BUCKET = "roworks-robot-catalog-bucket"
+const PREVIEW_STORAGES = ["s3", "local"]
+
+// pdfjs looks up the standard 14 fonts here; without them text renders as nothing
+const require = createRequire(import.meta.url)
+const STANDARD_FONT_DATA_URL = path.join(path.dirname(require.resolve("pdfjs-dist/package.json")), "standard_fonts") + path.sep
+
+// ---------------- CONFIG ----------------
+export function previewConfig(env = process.env) {
+  const storage = env.PAGE_PREVIEW_STORAGE || "s3"
+  if (!PREVIEW_STORAGES.includes(storage)) {
+    throw new Error(`Unknown PAGE_PREVIEW_STORAGE "${storage}", expected one of: ${PREVIEW_STORAGES.join(", ")}`)
+  }
+
+  return {
+    thumbnailWidth: parseInt(env.PAGE_THUMBNAIL_WIDTH) || DEFAULT_THUMBNAIL_WIDTH,
+    previewWidth: parseInt(env.PAGE_PREVIEW_WIDTH) || DEFAULT_PREVIEW_WIDTH,
+    storage,
+    bucket: env.IMAGE_S3_BUCKET || DEFAULT_IMAGE_BUCKET,
+    localDir: env.PAGE_PREVIEW_DIR || "page-previews"
+  }
+}
+
+// ---------------- STORAGE ----------------
+// save(key, buffer, { width, height }) -> reference stored in pagesData and source_refs
+export function createPreviewStore({ s3, storage, bucket, localDir }) {
+  const reference = (key, buffer, { width, height }) => ({
+    storage,
+    bucket: storage === "s3" ? bucket : null,
+    key,
+    sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+    size_bytes: buffer.length,
+    width,
+    height
+  })
+
+  if (storage === "local") {
+    return {
+      storage,
+      async save(key, buffer, size) {
+        const filePath = path.join(localDir, key)
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+        await fs.promises.writeFile(filePath, buffer)
+        return reference(key, buffer, size)
+      }
+    }
+  }
+
+  return {
+    storage,
+    async save(key, buffer, size) {
+      await s3.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: buffer,
+        ContentType: "image/png"
+      }))
+      return reference(key, buffer, size)
+    }
+  }
+}
+
+// ---------------- RENDERING ----------------
+async function renderPage(pdf, page, width) {
+  const viewport = page.getViewport({ scale: width / page.getViewport({ scale: 1 }).width })
+  const canvasAndContext = pdf.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height))
+
+  try {
+    await page.render({ canvasContext: canvasAndContext.context, viewport }).promise
+    const { canvas } = canvasAndContext
+    return { buffer: canvas.toBuffer("image/png"), width: canvas.width, height: canvas.height }
+  } finally {
+    pdf.canvasFactory.destroy(canvasAndContext)
+  }
+}
+
+// Renders and stores one page at a time. Returns a Map of page -> { thumbnail, preview };
+// a page that fails to render is logged by the caller's onError and left out
+export async function createPagePreviews(pdfBuffer, { store, pdfId, thumbnailWidth, previewWidth, onError = () => {} }) {
+  const pdf = await getDocument({ data: new Uint8Array(pdfBuffer), standardFontDataUrl: STANDARD_FONT_DATA_URL }).promise
+
+  const previews = new Map()
+  try {
+    for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+      try {
+        const page = await pdf.getPage(pageNum)
+        const refs = {}
+        for (const [size, width] of [["thumbnail", thumbnailWidth], ["preview", previewWidth]]) {
+          const image = await renderPage(pdf, page, width)
+          const hash = crypto.createHash("sha256").update(image.buffer).digest("hex")
+          refs[size] = await store.save(`catalog/pdfs/${pdfId}/page/${pageNum}/${hash}/${size}.png`, image.buffer, image)
+        }
+        previews.set(pageNum, refs)
+        page.cleanup()
+      } catch (error) {
+        onError(pageNum, error)
+      }
+    }
+  } finally {
+    await pdf.destroy()
+  }
+
+  return previews
+}
@@ -0,0 +1,82 @@
+import crypto from "crypto"
+import fs from "fs"
+import path from "path"
+import { GetObjectCommand } from "@aws-sdk/client-s3"
+import { listObjectKeys } from "./s3-listing.js"
+import { objectFingerprint } from "./pdf-versions.js"
+
+// Where the PDF ingestor reads its PDFs: an S3 prefix, or a local directory when
+// --dir / PDF_SOURCE_DIR is set. Both sources implement
+//   list() -> { keys, description }
+//   fingerprint(key) -> { etag, sizeBytes, lastModified }
+//   read(key) -> Buffer
+// and have the `bucket` that extractions and products record next to the key. A local
+// directory's bucket is "local:<absolute path>", so content idempotency and --reprocess
+// work per directory, and its keys are paths relative to it.
+export const LOCAL_BUCKET_PREFIX = "local:"
+
+// ---------------- S3 ----------------
+export function createS3Source(s3, { bucket, prefix }) {
+  return {
+    bucket,
+    async list() {
+      const { keys, pages } = await listObjectKeys(s3, { bucket, prefix })
+      return { keys, description: `s3://${bucket}/${prefix} in ${pages} page(s)` }
+    },
+    fingerprint(key) {
+      return objectFingerprint(s3, bucket, key)
+    },
+    async read(key) {
+      const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }))
+      return Buffer.from(await response.Body.transformToByteArray())
+    }
+  }
+}
+
+// ---------------- LOCAL DIRECTORY ----------------
+async function listFiles(root, dir = root) {
+  const files = []
+  for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(root, fullPath))
+    } else if (entry.isFile()) {
+      files.push(path.relative(root, fullPath).split(path.sep).join("/"))
+    }
+  }
+  return files
+}
+
+// The SHA-256 of the file stands in for the S3 ETag
+export function createLocalSource({ dir }) {
+  const root = path.resolve(dir)
+  const filePath = key => path.join(root, ...key.split("/"))
+
+  return {
+    bucket: `${LOCAL_BUCKET_PREFIX}${root}`,
+    async list() {
+      const keys = (await listFiles(root)).sort()
+      return { keys, description: root }
+    },
+    async fingerprint(key) {
+      const buffer = await fs.promises.readFile(filePath(key))
+      const stat = await fs.promises.stat(filePath(key))
+      return {
+        etag: crypto.createHash("sha256").update(buffer).digest("hex"),
+        sizeBytes: stat.size,
+        lastModified: stat.mtime
+      }
+    },
+    read(key) {
+      return fs.promises.readFile(filePath(key))
+    }
+  }
+}
+
+export function createPdfSource(listing, { s3 = null } = {}) {
+  if (listing.dir) return createLocalSource(listing)
+  if (!s3) {
+    throw new Error("Listing PDFs in S3 needs an S3 client; set AWS_REGION or read a local directory with --dir")
+  }
+  return createS3Source(s3, listing)
+}
@@ -0,0 +1,144 @@
+// Text tables from pdfjs text items, grouped into rows by baseline and into columns
+// by overlapping x ranges. This is the grouping pdf-tables-parser does (and the
+// vendor parsers were tuned on); that package itself doesn't load on Node 20, since
+// its build uses extensionless imports and the non-legacy pdfjs.
+//
+//   tablesFromTextItems(items) -> [{ tableNumber, numrows, numcols, data }]
+// where data is an array of rows, each a sparse array of cell strings.
+
+// Items whose baselines are this close (in PDF units) are on the same row
+const ROW_THRESHOLD = 1.5
+
+// Longer strings are running text and don't define column bounds
+const MAX_COLUMN_TEXT = 30
+
+// Column bounds are found by sweeping the table width in this many steps
+const COLUMN_STEPS = 200
+
+const intersects = (a, b) => a.x <= b.x2 && a.x2 >= b.x
+
+const textBounds = item => ({
+  x: item.transform[4],
+  x2: item.transform[4] + item.width,
+  y: item.transform[5],
+  y2: item.transform[5] - item.height,
+  s: item.str
+})
+
+// ---------------- ROWS ----------------
+// Takes the next row off the front of `text`; items that overlap one already in the
+// row go back for the following row
+function nextRow(text) {
+  const row = []
+  const skipped = []
+
+  while (text.length > 0) {
+    const item = text.shift()
+    if (row[0] && Math.abs(item.y - row[0].y) > ROW_THRESHOLD) {
+      text.unshift(item)
+      break
+    }
+    if (item.y === row[0]?.y || !row.some(s => intersects(s, item))) {
+      row.push(item)
+    } else {
+      skipped.push(item)
+    }
+  }
+
+  text.unshift(...skipped.reverse())
+  return row.sort((a, b) => a.x - b.x)
+}
+
+// A gap of more than one line height between rows starts a new table
+function splitTables(rows) {
+  const tables = []
+  let current = []
+
+  rows.forEach((row, i) => {
+    const prev = rows[i - 1]?.[0]
+    const curr = row[0]
+    if (prev && curr && curr.y < 2 * prev.y2 - prev.y) {
+      tables.push(current)
+      current = []
+    }
+    current.push(row)
+  })
+  tables.push(current)
+
+  return tables
+}
+
+// ---------------- COLUMNS ----------------
+function columnBounds(rows) {
+  const strings = rows.flat()
+  const minX = Math.min(1e3, ...strings.map(str => str.x))
+  const maxX = Math.max(-1, ...strings.map(str => str.x2))
+  const step = (maxX - minX) / COLUMN_STEPS || 1
+  const columns = []
+
+  for (let x = minX; x < maxX; x += step) {
+    for (const str of strings) {
+      if (str.s.length > MAX_COLUMN_TEXT || str.x > x || x > str.x2) continue
+      const column = columns.find(c => intersects(str, c))
+      if (column) {
+        column.x = Math.min(column.x, str.x)
+        column.x2 = Math.max(column.x2, str.x2)
+      } else {
+        columns.push({ x: str.x, x2: str.x2 })
+      }
+    }
+  }
+
+  return columns.sort((a, b) => a.x - b.x)
+}
+
+// A titled column with no values of its own, followed by an untitled one that has
+// them, is one column whose title and values didn't line up
+function mergeColumns(columns, data) {
+  let titleRow = 0
+  while (titleRow < data.length && data[titleRow] && data[titleRow].filter(Boolean).length <= 1) titleRow++
+  const title = data[titleRow]
+
+  const valueCount = col => data.slice(titleRow + 1).filter(row => row?.[col]).length
+
+  for (let i = 0; i < columns.length - 1; i++) {
+    if (!title?.[i] || title[i + 1] || valueCount(i) !== 0 || valueCount(i + 1) === 0) continue
+
+    columns.splice(i + 1, 1)
+    for (let j = titleRow + 1; j < data.length; j++) {
+      if (data[j]?.[i + 1]) data[j][i] = data[j][i + 1]
+    }
+    for (const row of data) {
+      row?.splice(i + 1, 1)
+    }
+  }
+}
+
+function tableData(rows, tableNumber) {
+  const columns = columnBounds(rows)
+  const data = rows.map(row => {
+    const cells = []
+    for (const str of row) {
+      const colIndex = columns.findIndex(c => intersects(str, c))
+      if (colIndex < 0) continue
+      cells[colIndex] = cells[colIndex] ? `${cells[colIndex]} ${str.s}` : str.s
+    }
+    return cells
+  })
+  mergeColumns(columns, data)
+
+  return { tableNumber, numrows: rows.length, numcols: columns.length, data }
+}
+
+// ---------------- TABLES ----------------
+export function tablesFromTextItems(items) {
+  const text = items
+    .filter(item => "transform" in item)
+    .map(textBounds)
+    .sort((a, b) => b.y - a.y || a.x - b.x)
+
+  const rows = []
+  while (text.length > 0) rows.push(nextRow(text))
+
+  return splitTables(rows).map((tableRows, idx) => tableData(tableRows, idx + 1))
+}
@@ -0,0 +1,66 @@
+import { HeadObjectCommand } from "@aws-sdk/client-s3"
+
+// Content-based idempotency for the pdfExtracts collection. A PDF is identified by
+// its bucket + key and its content by the S3 ETag: an unchanged object is skipped,
+// a changed one gets a new extraction version linked to the one it replaces.
+
+// ---------------- FINGERPRINT ----------------
+export async function objectFingerprint(s3, bucket, key) {
+  const head = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }))
+  return {
+    etag: (head.ETag || "").replace(/"/g, "") || null,
+    sizeBytes: head.ContentLength ?? null,
+    lastModified: head.LastModified || null
+  }
+}
+
+// ---------------- INDEXES ----------------
+export async function ensureExtractIndexes(pdfCollection) {
+  await pdfCollection.createIndex({ bucket: 1, s3Key: 1, version: -1 }, { name: "bucket_key_version" })
+  await pdfCollection.createIndex({ bucket: 1, etag: 1 }, { name: "bucket_etag" })
+}
+
+// ---------------- PLANNING ----------------
+// Latest extraction of a key: the one nothing supersedes
+export async function latestExtraction(pdfCollection, { bucket, key }) {
+  return pdfCollection
+    .find({ bucket, s3Key: key, supersededBy: null })
+    .sort({ version: -1, createdAt: -1 })
+    .limit(1)
+    .next()
+}
+
+// Decide what to do with an S3 object:
+//   { action: "skip", reason }                       content already extracted
+//   { action: "extract", version, previous }         new key, or new content for a known key
+export async function planExtraction(pdfCollection, { bucket, key, etag }) {
+  if (etag) {
+    const sameContent = await pdfCollection.findOne({ bucket, etag })
+    if (sameContent) {
+      const reason = sameContent.s3Key === key ? "unchanged" : `same content as ${sameContent.s3Key}`
+      return { action: "skip", reason }
+    }
+  }
+
+  const previous = await latestExtraction(pdfCollection, { bucket, key })
+  if (!previous) {
+    return { action: "extract", version: 1, previous: null }
+  }
+
+  // Extracted before ETags were recorded. Assume it is the current content rather than
+  // re-running every old file once; the next real change is picked up by its ETag
+  if (!previous.etag && etag) {
+    await pdfCollection.updateOne({ _id: previous._id }, { $set: { etag } })
+    return { action: "skip", reason: "already extracted, ETag recorded" }
+  }
+
+  return { action: "extract", version: (previous.version || 1) + 1, previous }
+}
+
+// Point the replaced extraction at its successor
+export async function linkVersion(pdfCollection, previousId, newId) {
+  await pdfCollection.updateOne(
+    { _id: previousId },
+    { $set: { supersededBy: newId, supersededAt: new Date() } }
+  )
+}
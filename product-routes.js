@@ -0,0 +1,272 @@
+import express from "express";
+import { ObjectId } from "mongodb";
+
+import { getDB, INGEST_DB_NAME } from "./db.js";
+import { searchProducts } from "./product-search.js";
+import { REDIRECTS_COLLECTION, applyManualEdit } from "./product-store.js";
+import { productEditSchema, validateDocument, formatValidationErrors } from "./schemas.js";
+import { parseLinkTtl, signObjectLink } from "./s3-links.js";
+
+// Catalog API over the products written by the ingestion scripts. The only write is
+// PATCH /:id, for hand edits of the merge fields
+const PRODUCTS_COLLECTION = "products";
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const DEFAULT_SEARCH_LIMIT = 10;
+const MAX_SEARCH_LIMIT = 50;
+const SORTABLE_FIELDS = ["name", "brand", "product_type", "price", "created_at", "updated_at"];
+
+// Large fields left out of list responses
+const LIST_PROJECTION = { raw: 0 };
+// Large fields left out of expanded source documents
+const SOURCE_PROJECTION = { extractedText: 0, pagesData: 0, urdfData: 0, formattedText: 0 };
+const SOURCE_COLLECTIONS = ["pdfExtracts", "urdfExtracts"];
+
+export const productRouter = express.Router();
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive exact match
+const exactMatch = (value) => new RegExp(`^${escapeRegex(value.trim())}$`, "i");
+
+const parseNumber = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const num = Number(value);
+  return isNaN(num) ? null : num;
+};
+
+// Query params given more than once (?brand=a&brand=b) arrive as arrays
+const STRING_PARAMS = ["q", "brand", "product_type", "sub_type", "bom_layer", "si"];
+
+function nonStringParam(query) {
+  const name = STRING_PARAMS.find((param) => query[param] !== undefined && typeof query[param] !== "string");
+  return name ? `${name} must be a single string value` : null;
+}
+
+// Build the Mongo filter from query params; returns { error } on bad input
+function buildProductFilter(query) {
+  const paramError = nonStringParam(query);
+  if (paramError) return { error: paramError };
+
+  const filter = {};
+
+  if (query.brand) filter["_norm.brand_norm"] = query.brand.toLowerCase().trim();
+  if (query.product_type) filter.product_type = exactMatch(query.product_type);
+  if (query.sub_type) filter.sub_type = exactMatch(query.sub_type);
+  if (query.bom_layer) filter.bom_layer = exactMatch(query.bom_layer);
+  if (query.si) filter.si = query.si;
+
+  const minPrice = parseNumber(query.min_price);
+  const maxPrice = parseNumber(query.max_price);
+  if (minPrice === null || maxPrice === null) {
+    return { error: "min_price and max_price must be numbers" };
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {
+      ...(minPrice !== undefined && { $gte: minPrice }),
+      ...(maxPrice !== undefined && { $lte: maxPrice })
+    };
+  }
+
+  return { filter };
+}
+
+// "price" sorts ascending, "-price" descending
+function parseSort(sortParam) {
+  if (!sortParam) return { sort: { created_at: -1, _id: 1 } };
+  if (typeof sortParam !== "string") return { error: "sort must be a single string value" };
+
+  const descending = sortParam.startsWith("-");
+  const field = descending ? sortParam.slice(1) : sortParam;
+  if (!SORTABLE_FIELDS.includes(field)) {
+    return { error: `sort must be one of: ${SORTABLE_FIELDS.join(", ")}` };
+  }
+
+  return { sort: { [field]: descending ? -1 : 1, _id: 1 } };
+}
+
+function parsePagination(query) {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { page, limit, skip: (page - 1) * limit };
+}
+
+// Attach the originating pdfExtracts/urdfExtracts document to each source ref
+async function expandSourceRefs(db, sourceRefs = []) {
+  const idsByCollection = {};
+  for (const ref of sourceRefs) {
+    if (!SOURCE_COLLECTIONS.includes(ref.collection) || !ObjectId.isValid(String(ref.source_id))) continue;
+    (idsByCollection[ref.collection] ||= []).push(new ObjectId(String(ref.source_id)));
+  }
+
+  const documents = {};
+  for (const [collection, ids] of Object.entries(idsByCollection)) {
+    const docs = await db.collection(collection)
+      .find({ _id: { $in: ids } }, { projection: SOURCE_PROJECTION })
+      .toArray();
+    for (const doc of docs) {
+      documents[`${collection}:${doc._id}`] = doc;
+    }
+  }
+
+  return sourceRefs.map((ref) => ({
+    ...ref,
+    document: documents[`${ref.collection}:${ref.source_id}`] || null
+  }));
+}
+
+productRouter.get("/", async (req, res) => {
+  try {
+    const { filter, error: filterError } = buildProductFilter(req.query);
+    const { sort, error: sortError } = parseSort(req.query.sort);
+    if (filterError || sortError) {
+      return res.status(400).json({ error: filterError || sortError });
+    }
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const collection = getDB(INGEST_DB_NAME).collection(PRODUCTS_COLLECTION);
+
+    const [products, total] = await Promise.all([
+      collection.find(filter, { projection: LIST_PROJECTION }).sort(sort).skip(skip).limit(limit).toArray(),
+      collection.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      products
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Registered before /:id so "search" isn't taken for a product id
+productRouter.get("/search", async (req, res) => {
+  try {
+    const paramError = nonStringParam(req.query);
+    if (paramError) {
+      return res.status(400).json({ error: paramError });
+    }
+
+    const q = (req.query.q || "").trim();
+    if (!q) {
+      return res.status(400).json({ error: "q is required" });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+    const collection = getDB(INGEST_DB_NAME).collection(PRODUCTS_COLLECTION);
+    const results = await searchProducts(collection, q, { brand: req.query.brand, limit });
+
+    res.json({ success: true, q, count: results.length, results });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The PDF a product was most recently matched in: its latest pdf_extract source ref,
+// or the bucket and key stored on the product
+async function productSourceFile(db, product) {
+  const ref = [...(product.source_refs || [])].reverse().find((r) => r.collection === "pdfExtracts");
+  if (ref && ObjectId.isValid(String(ref.source_id))) {
+    const pdf = await db.collection("pdfExtracts").findOne(
+      { _id: new ObjectId(String(ref.source_id)) },
+      { projection: { bucket: 1, s3Key: 1 } }
+    );
+    if (pdf) return { pdfId: pdf._id, bucket: pdf.bucket, key: pdf.s3Key, page: ref.page ?? null };
+  }
+
+  if (product.s3Bucket && product.s3Key) {
+    return { pdfId: null, bucket: product.s3Bucket, key: product.s3Key, page: null };
+  }
+  return null;
+}
+
+productRouter.get("/:id/source", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid product id" });
+    }
+
+    const { ttl, error } = parseLinkTtl(req.query.ttl);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = getDB(INGEST_DB_NAME);
+    const product = await db.collection(PRODUCTS_COLLECTION).findOne(
+      { _id: new ObjectId(req.params.id) },
+      { projection: { source_refs: 1, s3Bucket: 1, s3Key: 1 } }
+    );
+    if (!product) {
+      const redirect = await db.collection(REDIRECTS_COLLECTION).findOne({ _id: new ObjectId(req.params.id) });
+      if (redirect) {
+        return res.redirect(301, `${req.baseUrl}/${redirect.target_id}/source`);
+      }
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    const source = await productSourceFile(db, product);
+    if (!source) {
+      return res.status(404).json({ error: "Product has no source PDF" });
+    }
+
+    const link = await signObjectLink(source.bucket, source.key, ttl);
+    res.json({ success: true, productId: product._id, pdfId: source.pdfId, page: source.page, ...link });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+productRouter.get("/:id", async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid product id" });
+    }
+
+    const db = getDB(INGEST_DB_NAME);
+    const product = await db.collection(PRODUCTS_COLLECTION).findOne({ _id: new ObjectId(req.params.id) });
+    if (!product) {
+      // Merged duplicates point at the product they were merged into
+      const redirect = await db.collection(REDIRECTS_COLLECTION).findOne({ _id: new ObjectId(req.params.id) });
+      if (redirect) {
+        return res.redirect(301, `${req.baseUrl}/${redirect.target_id}`);
+      }
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    product.source_refs = await expandSourceRefs(db, product.source_refs);
+    res.json({ success: true, product });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Hand edits of the merge fields, recorded with manual provenance:
+//   PATCH /products/:id  { "fields": { "price": 1250 }, "edited_by": "jane", "note": "2025 list price" }
+productRouter.patch("/:id", express.json(), async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: "Invalid product id" });
+    }
+
+    const validation = validateDocument(productEditSchema, req.body || {});
+    if (!validation.success) {
+      return res.status(400).json({ error: formatValidationErrors(validation.errors) });
+    }
+
+    const collection = getDB(INGEST_DB_NAME).collection(PRODUCTS_COLLECTION);
+    const product = await applyManualEdit(collection, new ObjectId(req.params.id), validation.data);
+    if (!product) {
+      return res.status(404).json({ error: "Product not found" });
+    }
+
+    res.json({ success: true, product });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
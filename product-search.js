@@ -0,0 +1,117 @@
+// Fuzzy product search over the _norm fields written by normalizeProductData.
+// Results are ranked by tier: exact alias match, then token overlap, then edit distance.
+
+// Candidates fetched from Mongo before scoring
+const MAX_CANDIDATES = 500;
+// Edit-distance matches below this similarity are dropped
+const MIN_FUZZY_SIMILARITY = 0.6;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "UR-5e", "ur5 e" and "UR 5e" all compact to "ur5e"
+export const compact = (value) => String(value || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Split on separators and letter/digit boundaries: "irb1100" -> ["irb", "1100"]
+export const searchTokens = (value) => String(value || "")
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .flatMap((token) => token.match(/[a-z]+|\d+/g) || [])
+  .filter((token) => token.length > 0);
+
+export function editDistance(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Score one product against the query: alias = 1, tokens in (0.5, 0.9], fuzzy below 0.5
+export function scoreProduct(product, query) {
+  const norm = product._norm || {};
+  const queryCompact = compact(query);
+  const names = [norm.name_norm, ...(norm.aliases || [])].filter(Boolean);
+  const compactNames = names.map(compact);
+
+  if (compactNames.includes(queryCompact)) {
+    return { score: 1, matchType: "alias" };
+  }
+
+  // Edit-distance similarity is the fuzzy score and breaks ties between token matches
+  let similarity = 0;
+  for (const name of compactNames) {
+    const maxLength = Math.max(name.length, queryCompact.length);
+    if (maxLength === 0) continue;
+    similarity = Math.max(similarity, 1 - editDistance(name, queryCompact) / maxLength);
+  }
+
+  const queryTokens = [...new Set(searchTokens(query))];
+  const productTokens = new Set(searchTokens(norm.name_norm || product.name));
+  const shared = queryTokens.filter((token) => productTokens.has(token)).length;
+  if (shared > 0) {
+    const overlap = shared / queryTokens.length;
+    const score = 0.5 + 0.35 * overlap + 0.05 * similarity;
+    return { score: Number(score.toFixed(4)), matchType: "tokens", overlap, similarity };
+  }
+
+  if (similarity >= MIN_FUZZY_SIMILARITY) {
+    return { score: Number((0.5 * similarity).toFixed(4)), matchType: "fuzzy", similarity };
+  }
+
+  return null;
+}
+
+// Mongo filters that narrow the collection to products worth scoring: exact alias and
+// token hits, and the looser name-prefix matches used to fill up to MAX_CANDIDATES
+function candidateFilters(query) {
+  const queryCompact = compact(query);
+  const lowered = query.toLowerCase().trim();
+  const tokens = searchTokens(query);
+  const prefix = escapeRegex(queryCompact.slice(0, 2));
+
+  return {
+    exact: {
+      $or: [
+        { "_norm.aliases": { $in: [lowered, queryCompact] } },
+        { "_norm.name_tokens": { $in: [...tokens, queryCompact, ...lowered.split(/\s+/)] } }
+      ]
+    },
+    prefix: { "_norm.name_norm": { $regex: `(?:^|[\\s\\-_])${prefix}` } }
+  };
+}
+
+export async function searchProducts(collection, query, { brand, limit = 10 } = {}) {
+  const { exact, prefix } = candidateFilters(query);
+  const brandFilter = brand ? { "_norm.brand_norm": brand.toLowerCase().trim() } : {};
+  const options = { projection: { raw: 0 } };
+
+  // Exact hits first, so a flood of prefix matches can't push them past the cap
+  const candidates = await collection
+    .find({ ...exact, ...brandFilter }, options)
+    .limit(MAX_CANDIDATES)
+    .toArray();
+
+  if (candidates.length < MAX_CANDIDATES) {
+    const more = await collection
+      .find({ ...prefix, ...brandFilter, _id: { $nin: candidates.map((p) => p._id) } }, options)
+      .limit(MAX_CANDIDATES - candidates.length)
+      .toArray();
+    candidates.push(...more);
+  }
+
+  return candidates
+    .map((product) => ({ product, match: scoreProduct(product, query) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .slice(0, limit)
+    .map(({ product, match }) => ({ ...match, product }));
+}
@@ -0,0 +1,335 @@
+// Shared product persistence for the PDF and URDF ingestors. Products are keyed
+// on their normalized name + brand, so the same product from several sources
+// is merged into one document instead of being inserted again. Which source wins
+// a disagreeing field is decided by the merge policy below.
+
+// ---------------- LOGGER ----------------
+const log = {
+  info: msg => console.log(`ℹ️  ${msg}`),
+  success: msg => console.log(`✅ ${msg}`),
+  warn: msg => console.log(`⚠️  ${msg}`),
+  error: msg => console.error(`❌ ${msg}`)
+}
+
+const DUPLICATE_KEY_ERROR = 11000
+
+// Old _id -> surviving product, left behind when duplicates are merged
+export const REDIRECTS_COLLECTION = "productRedirects"
+
+// ---------------- DATA NORMALIZATION ----------------
+export function normalizeProductData(product) {
+  const brandNorm = (product.brand || "").toLowerCase().trim()
+  const nameNorm = (product.name || "").toLowerCase().trim()
+
+  // Tokenize name (split by spaces, hyphens, underscores, etc.)
+  const nameTokens = nameNorm
+    .split(/[\s\-_]+/)
+    .filter(token => token.length > 0)
+
+  // Generate aliases (variations of the name)
+  const aliases = []
+  if (nameNorm) {
+    aliases.push(nameNorm)
+    // Add version without spaces
+    aliases.push(nameNorm.replace(/\s+/g, ""))
+    // Add version with hyphens
+    aliases.push(nameNorm.replace(/\s+/g, "-"))
+    // Add version with underscores
+    aliases.push(nameNorm.replace(/\s+/g, "_"))
+    // Add product type combinations
+    if (product.product_type) {
+      aliases.push(`${nameNorm} ${product.product_type.toLowerCase()}`)
+    }
+  }
+
+  // Remove duplicates
+  const uniqueAliases = [...new Set(aliases)]
+
+  return {
+    brand_norm: brandNorm,
+    name_norm: nameNorm,
+    name_tokens: nameTokens,
+    aliases: uniqueAliases
+  }
+}
+
+// ---------------- INDEXES ----------------
+// Unique on the merge key. Collections that still hold duplicates from before
+// upserts can't get the index yet; ingestion still works, it just isn't enforced.
+export async function ensureProductIndexes(productCollection) {
+  try {
+    await productCollection.createIndex(
+      { "_norm.name_norm": 1, "_norm.brand_norm": 1 },
+      { unique: true, name: "norm_name_brand_unique" }
+    )
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) throw error
+    log.warn("Products collection has duplicate name/brand pairs; unique index not created until they are merged")
+  }
+}
+
+// ---------------- DUPLICATE CHECKING ----------------
+export async function checkDuplicate(productCollection, product) {
+  try {
+    const normFields = normalizeProductData(product)
+
+    // Query by normalized name and brand
+    const existing = await productCollection.findOne({
+      "_norm.name_norm": normFields.name_norm,
+      "_norm.brand_norm": normFields.brand_norm
+    })
+
+    return existing
+  } catch (error) {
+    log.error(`Error checking duplicate: ${error.message}`)
+    return null
+  }
+}
+
+// ---------------- MERGE POLICY ----------------
+// When two sources disagree on a field, the higher ranked source wins. The
+// default order applies to every field; PRODUCT_FIELD_PRECEDENCE can override it
+// with JSON, e.g. {"default": [...], "price": ["manual", "datasheet_table", "llm_text", "urdf"]}
+export const CONFLICTS_COLLECTION = "productConflicts"
+
+export const MERGE_FIELDS = ["product_type", "sub_type", "bom_layer", "price", "part_number"]
+
+const DEFAULT_PRECEDENCE = ["manual", "urdf", "datasheet_table", "llm_text"]
+
+// Provenance kind of each source ref type. PDF products come from the LLM reading
+// page text; refs extracted from a parsed table say so with method: "table", and
+// table_fields names the fields the table supplied when it didn't supply them all.
+// Manual refs come from hand edits (applyManualEdit)
+const SOURCE_KINDS = {
+  manual: "manual",
+  urdf_extract: "urdf",
+  pdf_extract: "llm_text"
+}
+
+function loadPrecedence() {
+  const precedence = { default: DEFAULT_PRECEDENCE }
+  if (!process.env.PRODUCT_FIELD_PRECEDENCE) return precedence
+
+  try {
+    const configured = JSON.parse(process.env.PRODUCT_FIELD_PRECEDENCE)
+    for (const [field, order] of Object.entries(configured)) {
+      if (!Array.isArray(order)) throw new Error(`precedence for "${field}" must be an array`)
+      precedence[field] = order
+    }
+  } catch (error) {
+    log.warn(`Ignoring PRODUCT_FIELD_PRECEDENCE: ${error.message}`)
+  }
+  return precedence
+}
+
+const PRECEDENCE = loadPrecedence()
+
+export function sourceKind(sourceRef, field = null) {
+  if (!sourceRef) return null
+  if (sourceRef.method === "table" && (!field || !sourceRef.table_fields || sourceRef.table_fields.includes(field))) {
+    return "datasheet_table"
+  }
+  return SOURCE_KINDS[sourceRef.source] || null
+}
+
+// Higher is stronger; kinds missing from the order (or unknown) rank below all of them
+function rank(field, kind) {
+  const order = PRECEDENCE[field] || PRECEDENCE.default
+  const index = order.indexOf(kind)
+  return index === -1 ? -1 : order.length - index
+}
+
+const isEmpty = value => value === null || value === undefined
+
+// Entries keep the value they credit, so a later change made outside the ingestors shows
+function provenanceEntry(productDoc, field) {
+  const sourceRef = productDoc.source_refs?.[0] || null
+  return {
+    kind: sourceKind(sourceRef, field),
+    source_ref: sourceRef,
+    value: productDoc[field],
+    updated_at: new Date()
+  }
+}
+
+// Provenance of an existing field. A value other than the one its entry credits, or a
+// value with no entry on a product that tracks provenance, was edited by hand. Products
+// from before provenance was tracked credit their first source
+function existingProvenance(existing, field) {
+  const entry = existing.provenance?.[field]
+  if (entry && (!("value" in entry) || entry.value === existing[field])) return entry
+  if (existing.provenance) {
+    return { kind: "manual", source_ref: null, value: existing[field], updated_at: null }
+  }
+  return provenanceEntry(existing, field)
+}
+
+// Decide field by field what the incoming document may change. Returns the $set
+// entries and a conflict record for every disagreement, whichever side won
+export function mergeFields(existing, productDoc) {
+  const set = {}
+  const conflicts = []
+
+  for (const field of MERGE_FIELDS) {
+    const value = productDoc[field]
+    if (isEmpty(value)) continue
+
+    const incoming = provenanceEntry(productDoc, field)
+    const current = existing[field]
+    if (isEmpty(current)) {
+      set[field] = value
+      set[`provenance.${field}`] = incoming
+      continue
+    }
+
+    const currentProvenance = existingProvenance(existing, field)
+    const incomingRank = rank(field, incoming.kind)
+    const currentRank = rank(field, currentProvenance.kind)
+
+    if (current === value) {
+      // Same value from a stronger source: credit the stronger source
+      if (incomingRank > currentRank) set[`provenance.${field}`] = incoming
+      continue
+    }
+
+    const replace = incomingRank > currentRank
+    if (replace) {
+      set[field] = value
+      set[`provenance.${field}`] = incoming
+    }
+
+    conflicts.push({
+      product_id: existing._id,
+      name: existing.name,
+      brand: existing.brand,
+      field,
+      existing: { value: current, kind: currentProvenance.kind, source_ref: currentProvenance.source_ref },
+      incoming: { value, kind: incoming.kind, source_ref: incoming.source_ref },
+      resolution: replace ? "replaced" : "kept_existing",
+      status: "open",
+      created_at: new Date()
+    })
+  }
+
+  return { set, conflicts }
+}
+
+function initialProvenance(productDoc) {
+  const provenance = {}
+  for (const field of MERGE_FIELDS) {
+    if (!isEmpty(productDoc[field])) provenance[field] = provenanceEntry(productDoc, field)
+  }
+  return provenance
+}
+
+// ---------------- MANUAL EDITS ----------------
+// Set fields by hand with manual provenance, which the default policy ranks above every
+// ingested source: later ingests keep the edit and log a conflict instead.
+// `edit` is a parsed productEditSchema body; returns the updated product or null
+export async function applyManualEdit(productCollection, productId, { fields, edited_by, note }) {
+  const editedAt = new Date()
+  const sourceRef = { source: "manual", edited_by, note, edited_at: editedAt }
+  const set = { updated_at: editedAt }
+
+  for (const [field, value] of Object.entries(fields)) {
+    set[field] = value
+    set[`provenance.${field}`] = { kind: sourceKind(sourceRef), source_ref: sourceRef, value, updated_at: editedAt }
+  }
+
+  const product = await productCollection.findOneAndUpdate({ _id: productId }, { $set: set }, { returnDocument: "after" })
+  if (product) {
+    log.success(`Manual edit of ${Object.keys(fields).join(", ")} on ${product.name} (${product.brand})`)
+  }
+  return product
+}
+
+// ---------------- CONFLICT LOG ----------------
+// One record per product, field and pair of values: re-ingesting the same sources
+// refreshes the record (last_seen_at, latest refs and resolution) instead of adding
+// another. Returns how many of the conflicts are new
+async function recordConflicts(conflictCollection, conflicts) {
+  let recorded = 0
+  for (const { status, created_at, ...conflict } of conflicts) {
+    const result = await conflictCollection.updateOne(
+      {
+        product_id: conflict.product_id,
+        field: conflict.field,
+        "existing.value": conflict.existing.value,
+        "incoming.value": conflict.incoming.value
+      },
+      {
+        $set: { ...conflict, last_seen_at: created_at },
+        $setOnInsert: { status, created_at }
+      },
+      { upsert: true }
+    )
+    recorded += result.upsertedCount
+  }
+  return recorded
+}
+
+// ---------------- UPSERT PRODUCT ----------------
+// Conflicts are logged to conflictCollection when one is given
+export async function upsertProduct(productCollection, productDoc, { conflictCollection = null, retried = false } = {}) {
+  try {
+    // Check for duplicate
+    const existing = await checkDuplicate(productCollection, productDoc)
+
+    if (existing) {
+      const { set, conflicts } = mergeFields(existing, productDoc)
+
+      const updateDoc = {
+        $set: {
+          updated_at: new Date(),
+          ...set,
+          ...(productDoc.si && { si: productDoc.si })
+        },
+        // Add to source_refs array if not already present
+        $addToSet: {
+          source_refs: { $each: productDoc.source_refs || [] }
+        }
+      }
+
+      const result = await productCollection.updateOne(
+        { _id: existing._id },
+        updateDoc
+      )
+
+      if (conflicts.length > 0) {
+        log.warn(`${conflicts.length} field conflict(s) for ${productDoc.name} (${productDoc.brand}): ${conflicts.map(c => `${c.field} ${c.resolution}`).join(", ")}`)
+        if (conflictCollection) {
+          const recorded = await recordConflicts(conflictCollection, conflicts)
+          if (recorded < conflicts.length) log.info(`${conflicts.length - recorded} of them already logged`)
+        }
+      }
+
+      if (result.modifiedCount > 0) {
+        log.success(`Updated existing product: ${productDoc.name} (${productDoc.brand})`)
+        return { updated: true, id: existing._id, conflicts: conflicts.length }
+      } else {
+        log.info(`Product already exists (no changes): ${productDoc.name} (${productDoc.brand})`)
+        return { updated: false, id: existing._id, conflicts: conflicts.length }
+      }
+    } else {
+      // Insert new product
+      const result = await productCollection.insertOne({
+        ...productDoc,
+        provenance: initialProvenance(productDoc)
+      })
+
+      if (!result.acknowledged) {
+        throw new Error("Product document insertion was not acknowledged by MongoDB")
+      }
+
+      log.success(`Inserted new product: ${productDoc.name} (${productDoc.brand})`)
+      return { inserted: true, id: result.insertedId, conflicts: 0 }
+    }
+  } catch (error) {
+    // Another batch item inserted the same product between our check and insert
+    if (error.code === DUPLICATE_KEY_ERROR && !retried) {
+      return upsertProduct(productCollection, productDoc, { conflictCollection, retried: true })
+    }
+    log.error(`Error upserting product: ${error.message}`)
+    throw error
+  }
+}
@@ -0,0 +1,323 @@
+import dotenv from "dotenv"
+import { ObjectId } from "mongodb"
+import { connectDB, getDB, closeDB, INGEST_DB_NAME } from "./db.js"
+import { compact, searchTokens, editDistance } from "./product-search.js"
+import { REDIRECTS_COLLECTION } from "./product-store.js"
+
+dotenv.config()
+
+// Finds near-duplicate products ("UR5e", "UR 5e", "Universal Robots UR5e"),
+// writes merge proposals for review and applies the approved ones.
+//
+//   node resolve-product-duplicates.js propose [--min-confidence 0.75]
+//   node resolve-product-duplicates.js approve <proposalId>
+//   node resolve-product-duplicates.js reject <proposalId>
+//   node resolve-product-duplicates.js apply
+
+// ---------------- CONFIG ----------------
+const PRODUCTS_COLLECTION = "products"
+const PROPOSALS_COLLECTION = "productMergeProposals"
+const DEFAULT_MIN_CONFIDENCE = 0.75
+
+// ---------------- LOGGER ----------------
+const log = {
+  info: msg => console.log(`ℹ️  ${msg}`),
+  success: msg => console.log(`✅ ${msg}`),
+  warn: msg => console.log(`⚠️  ${msg}`),
+  error: msg => console.error(`❌ ${msg}`)
+}
+
+// ---------------- SIMILARITY ----------------
+// Name with the brand taken off the front: "universal robots ur5e" -> "ur5e"
+function nameKey(product) {
+  const name = compact(product._norm?.name_norm || product.name)
+  const brand = compact(product._norm?.brand_norm || product.brand)
+  return brand && name.startsWith(brand) && name.length > brand.length ? name.slice(brand.length) : name
+}
+
+function aliasKeys(product) {
+  return new Set([product._norm?.name_norm, ...(product._norm?.aliases || [])].filter(Boolean).map(compact))
+}
+
+function nameTokens(product) {
+  const brandTokens = new Set(searchTokens(product._norm?.brand_norm || product.brand))
+  return new Set(searchTokens(product._norm?.name_norm || product.name).filter(token => !brandTokens.has(token)))
+}
+
+// Model numbers have to agree: "UR5e" and "UR10e" share most characters but are different robots
+const numbersOf = tokens => [...tokens].filter(token => /^\d+$/.test(token)).sort().join(",")
+
+// Confidence that two products of the same brand are the same product, or null
+function matchConfidence(a, b) {
+  const aliasesA = aliasKeys(a)
+  if ([...aliasKeys(b)].some(alias => aliasesA.has(alias))) {
+    return { confidence: 0.95, reason: "alias" }
+  }
+
+  const keyA = nameKey(a)
+  const keyB = nameKey(b)
+  if (keyA && keyA === keyB) {
+    return { confidence: 0.9, reason: "brand_prefix" }
+  }
+
+  const tokensA = nameTokens(a)
+  const tokensB = nameTokens(b)
+  if (tokensA.size === 0 || tokensB.size === 0 || numbersOf(tokensA) !== numbersOf(tokensB)) {
+    return null
+  }
+
+  const shared = [...tokensA].filter(token => tokensB.has(token)).length
+  const jaccard = shared / new Set([...tokensA, ...tokensB]).size
+  const similarity = 1 - editDistance(keyA, keyB) / Math.max(keyA.length, keyB.length, 1)
+  const confidence = Number((0.6 * jaccard + 0.4 * similarity).toFixed(4))
+  return { confidence, reason: "tokens" }
+}
+
+// ---------------- CLUSTERING ----------------
+function groupByBrand(products) {
+  const groups = new Map()
+  for (const product of products) {
+    const brand = compact(product._norm?.brand_norm || product.brand)
+    if (!groups.has(brand)) groups.set(brand, [])
+    groups.get(brand).push(product)
+  }
+  return groups
+}
+
+// Single-linkage clustering: any pair above the threshold joins their clusters
+function clusterProducts(products, minConfidence) {
+  const parent = new Map(products.map(p => [String(p._id), String(p._id)]))
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)))
+      id = parent.get(id)
+    }
+    return id
+  }
+
+  const links = []
+  for (const group of groupByBrand(products).values()) {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const match = matchConfidence(group[i], group[j])
+        if (!match || match.confidence < minConfidence) continue
+        links.push({ a: group[i]._id, b: group[j]._id, ...match })
+        parent.set(find(String(group[i]._id)), find(String(group[j]._id)))
+      }
+    }
+  }
+
+  const clusters = new Map()
+  for (const product of products) {
+    const root = find(String(product._id))
+    if (!clusters.has(root)) clusters.set(root, { members: [], links: [] })
+    clusters.get(root).members.push(product)
+  }
+  for (const link of links) {
+    clusters.get(find(String(link.a))).links.push(link)
+  }
+
+  return [...clusters.values()].filter(cluster => cluster.members.length > 1)
+}
+
+// Keep the product with the most sources; ties go to the oldest
+function pickCanonical(members) {
+  return [...members].sort((a, b) =>
+    (b.source_refs?.length || 0) - (a.source_refs?.length || 0) ||
+    new Date(a.created_at || 0) - new Date(b.created_at || 0)
+  )[0]
+}
+
+// ---------------- PROPOSE ----------------
+async function proposeMerges(db, minConfidence) {
+  const products = await db.collection(PRODUCTS_COLLECTION)
+    .find({}, { projection: { name: 1, brand: 1, _norm: 1, source_refs: 1, created_at: 1 } })
+    .toArray()
+  log.info(`Clustering ${products.length} product(s) with min confidence ${minConfidence}...`)
+
+  const clusters = clusterProducts(products, minConfidence)
+  const proposals = db.collection(PROPOSALS_COLLECTION)
+  let created = 0
+
+  for (const { members, links } of clusters) {
+    const canonical = pickCanonical(members)
+    const clusterKey = members.map(m => String(m._id)).sort().join(":")
+
+    // Re-running keeps the review status of clusters that were already proposed
+    const result = await proposals.updateOne(
+      { cluster_key: clusterKey },
+      {
+        $setOnInsert: {
+          cluster_key: clusterKey,
+          canonical_id: canonical._id,
+          duplicate_ids: members.filter(m => m !== canonical).map(m => m._id),
+          members: members.map(m => ({ _id: m._id, name: m.name, brand: m.brand, sources: m.source_refs?.length || 0 })),
+          links,
+          confidence: Math.min(...links.map(link => link.confidence)),
+          status: "pending",
+          created_at: new Date()
+        }
+      },
+      { upsert: true }
+    )
+    if (result.upsertedCount > 0) created++
+  }
+
+  log.success(`Found ${clusters.length} duplicate cluster(s), ${created} new proposal(s) in ${PROPOSALS_COLLECTION}`)
+}
+
+// ---------------- REVIEW ----------------
+async function reviewProposal(db, proposalId, status) {
+  if (!ObjectId.isValid(proposalId || "")) {
+    throw new Error("A valid proposal id is required")
+  }
+
+  const result = await db.collection(PROPOSALS_COLLECTION).updateOne(
+    { _id: new ObjectId(proposalId), status: "pending" },
+    { $set: { status, reviewed_at: new Date() } }
+  )
+  if (result.matchedCount === 0) {
+    throw new Error(`No pending proposal ${proposalId}`)
+  }
+  log.success(`Proposal ${proposalId} ${status}`)
+}
+
+// ---------------- APPLY ----------------
+// Assets are the same file when their content hash is
+function mergeAssets(lists) {
+  const bySha = new Map()
+  for (const asset of lists.flat()) {
+    const key = asset.sha256 || `${asset.bucket}/${asset.key}`
+    if (!bySha.has(key)) bySha.set(key, asset)
+  }
+  return [...bySha.values()]
+}
+
+async function applyProposal(db, proposal) {
+  const productCollection = db.collection(PRODUCTS_COLLECTION)
+  const canonical = await productCollection.findOne({ _id: proposal.canonical_id })
+  if (!canonical) {
+    throw new Error(`Canonical product ${proposal.canonical_id} no longer exists`)
+  }
+
+  const duplicates = await productCollection.find({ _id: { $in: proposal.duplicate_ids } }).toArray()
+  if (duplicates.length === 0) {
+    throw new Error("None of the duplicate products exist any more")
+  }
+
+  await productCollection.updateOne(
+    { _id: canonical._id },
+    {
+      $addToSet: {
+        source_refs: { $each: duplicates.flatMap(d => d.source_refs || []) },
+        "_norm.aliases": { $each: duplicates.flatMap(d => d._norm?.aliases || []) }
+      },
+      $set: {
+        assets: mergeAssets([canonical.assets || [], ...duplicates.map(d => d.assets || [])]),
+        updated_at: new Date()
+      }
+    }
+  )
+
+  // Old ids keep resolving: new redirects for the duplicates, and any redirect that
+  // pointed at a duplicate now points at the canonical product
+  const redirects = db.collection(REDIRECTS_COLLECTION)
+  const duplicateIds = duplicates.map(d => d._id)
+  await redirects.updateMany(
+    { target_id: { $in: duplicateIds } },
+    { $set: { target_id: canonical._id, updated_at: new Date() } }
+  )
+  for (const duplicate of duplicates) {
+    await redirects.updateOne(
+      { _id: duplicate._id },
+      {
+        $set: {
+          target_id: canonical._id,
+          proposal_id: proposal._id,
+          name: duplicate.name,
+          brand: duplicate.brand,
+          updated_at: new Date()
+        },
+        $setOnInsert: { created_at: new Date() }
+      },
+      { upsert: true }
+    )
+  }
+
+  await productCollection.deleteMany({ _id: { $in: duplicateIds } })
+  return duplicates.length
+}
+
+async function applyApprovedMerges(db) {
+  const proposals = db.collection(PROPOSALS_COLLECTION)
+  const approved = await proposals.find({ status: "approved" }).toArray()
+  log.info(`Applying ${approved.length} approved proposal(s)...`)
+
+  let merged = 0
+  let failed = 0
+  for (const proposal of approved) {
+    try {
+      const count = await applyProposal(db, proposal)
+      await proposals.updateOne({ _id: proposal._id }, { $set: { status: "applied", applied_at: new Date() } })
+      merged += count
+      log.success(`Merged ${count} duplicate(s) into ${proposal.canonical_id}`)
+    } catch (error) {
+      failed++
+      await proposals.updateOne({ _id: proposal._id }, { $set: { status: "failed", error: error.message } })
+      log.error(`Failed to apply proposal ${proposal._id}: ${error.message}`)
+    }
+  }
+
+  log.info(`Apply complete: ${merged} duplicate(s) merged, ${failed} proposal(s) failed`)
+}
+
+// ---------------- MAIN ----------------
+function parseMinConfidence(args) {
+  const index = args.indexOf("--min-confidence")
+  if (index === -1) return DEFAULT_MIN_CONFIDENCE
+  const value = parseFloat(args[index + 1])
+  if (isNaN(value) || value <= 0 || value > 1) {
+    throw new Error("--min-confidence must be a number in (0, 1]")
+  }
+  return value
+}
+
+const COMMANDS = ["propose", "approve", "reject", "apply"]
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2)
+  if (!COMMANDS.includes(command)) {
+    throw new Error("Usage: resolve-product-duplicates.js propose [--min-confidence n] | approve <id> | reject <id> | apply")
+  }
+
+  log.info("Connecting to MongoDB...")
+  await connectDB()
+  const db = getDB(INGEST_DB_NAME)
+
+  try {
+    switch (command) {
+      case "propose":
+        await proposeMerges(db, parseMinConfidence(args))
+        break
+      case "approve":
+        await reviewProposal(db, args[0], "approved")
+        break
+      case "reject":
+        await reviewProposal(db, args[0], "rejected")
+        break
+      case "apply":
+        await applyApprovedMerges(db)
+        break
+    }
+  } finally {
+    await closeDB()
+  }
+}
+
+// ---------------- RUN ----------------
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    log.error(`Fatal error: ${err.message}`)
+    process.exit(1)
+  })
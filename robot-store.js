@@ -0,0 +1,70 @@
+// Persistence for robot records extracted by the /upload-pdf route
+export const ROBOTS_COLLECTION = "robots";
+
+// Scalar fields from before variants; they held slash-joined strings like "4/5"
+const LEGACY_VARIANT_FIELDS = { payloadKg: "", reachM: "", repeatabilityMm: "" };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export async function ensureRobotIndexes(db) {
+  await db.collection(ROBOTS_COLLECTION).createIndex(
+    { vendor: 1, modelNorm: 1 },
+    // Older documents written before upserts have no modelNorm
+    { unique: true, partialFilterExpression: { modelNorm: { $exists: true } } }
+  );
+  await db.collection(ROBOTS_COLLECTION).createIndex(
+    { "variants.payloadKg": 1, "variants.reachM": 1 }
+  );
+}
+
+// Filter for robots where a single variant meets every limit, e.g.
+// capabilityFilter({ minPayloadKg: 10, minReachM: 1.2 })
+export function capabilityFilter({ minPayloadKg, minReachM, maxRepeatabilityMm } = {}) {
+  const variant = {};
+  if (minPayloadKg !== undefined) variant.payloadKg = { $gte: minPayloadKg };
+  if (minReachM !== undefined) variant.reachM = { $gte: minReachM };
+  if (maxRepeatabilityMm !== undefined) variant.repeatabilityMm = { $lte: maxRepeatabilityMm };
+  return Object.keys(variant).length > 0 ? { variants: { $elemMatch: variant } } : {};
+}
+
+// Robots matching capability limits, optionally for one vendor (case-insensitive)
+export async function findRobots(db, limits = {}, { vendor, limit = 50 } = {}) {
+  const filter = capabilityFilter(limits);
+  if (vendor) {
+    filter.vendor = new RegExp(`^${escapeRegex(vendor.trim())}$`, "i");
+  }
+
+  return db.collection(ROBOTS_COLLECTION)
+    .find(filter)
+    .sort({ vendor: 1, modelNorm: 1 })
+    .limit(limit)
+    .toArray();
+}
+
+// Upsert records by vendor + normalized model, so re-uploading a datasheet
+// updates the existing robots instead of adding new ones
+export async function upsertRobots(db, records) {
+  if (records.length === 0) {
+    return { inserted: 0, updated: 0 };
+  }
+
+  const now = new Date();
+  const operations = records.map(({ createdAt, ...record }) => ({
+    updateOne: {
+      filter: { vendor: record.vendor, modelNorm: record.modelNorm },
+      update: {
+        $set: { ...record, updatedAt: now },
+        $setOnInsert: { createdAt: createdAt || now },
+        $unset: LEGACY_VARIANT_FIELDS
+      },
+      upsert: true
+    }
+  }));
+
+  const result = await db.collection(ROBOTS_COLLECTION).bulkWrite(operations, { ordered: true });
+
+  return {
+    inserted: result.upsertedCount,
+    updated: result.matchedCount
+  };
+}
@@ -0,0 +1,47 @@
+import { S3Client, GetObjectCommand } from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+// Presigned S3 links are made when they are requested and never stored: documents keep
+// bucket + key only. S3_LINK_TTL_SECONDS sets the default lifetime (15 minutes); a
+// request may ask for another one up to the 7 days SigV4 allows
+export const DEFAULT_LINK_TTL = parseInt(process.env.S3_LINK_TTL_SECONDS) || 900;
+export const MAX_LINK_TTL = 604800;
+
+let s3 = null;
+
+// Created on first use so the API starts without AWS configuration. Credentials come
+// from AWS_ACCESS_KEY / AWS_SECRET_KEY, as in the ingestion scripts
+function s3Client() {
+  if (!s3) {
+    s3 = new S3Client({
+      region: process.env.AWS_REGION,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY,
+        secretAccessKey: process.env.AWS_SECRET_KEY
+      }
+    });
+  }
+  return s3;
+}
+
+// ?ttl=<seconds>; returns { ttl } or { error }
+export function parseLinkTtl(value) {
+  if (value === undefined || value === "") return { ttl: DEFAULT_LINK_TTL };
+
+  const ttl = Number(value);
+  if (!Number.isInteger(ttl) || ttl < 1 || ttl > MAX_LINK_TTL) {
+    return { error: `ttl must be a whole number of seconds between 1 and ${MAX_LINK_TTL}` };
+  }
+  return { ttl };
+}
+
+export async function signObjectLink(bucket, key, ttl = DEFAULT_LINK_TTL) {
+  const url = await getSignedUrl(s3Client(), new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn: ttl });
+  return {
+    bucket,
+    key,
+    url,
+    expiresIn: ttl,
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  };
+}
@@ -0,0 +1,173 @@
+import { ListObjectsV2Command } from "@aws-sdk/client-s3"
+
+// S3 listing for the PDF ingestors: every page of ListObjectsV2, include/exclude
+// globs, and a per-run manifest of what happened to each key.
+//
+// Configured by flag or environment (flags win):
+//   --bucket  PDF_S3_BUCKET    bucket to read (default roworks-pdf-extract)
+//   --prefix  PDF_S3_PREFIX    key prefix to list (default uploads/)
+//   --include PDF_INCLUDE      comma-separated globs a key must match (default **.pdf)
+//   --exclude PDF_EXCLUDE      comma-separated globs that drop a key
+//   --dir     PDF_SOURCE_DIR   read PDFs from this local directory instead of S3
+// Globs match the whole key: * stays within one path segment, ** crosses them.
+export const RUNS_COLLECTION = "ingestionRuns"
+export const RUN_ITEMS_COLLECTION = "ingestionRunItems"
+
+const DEFAULT_BUCKET = "roworks-pdf-extract"
+const DEFAULT_PREFIX = "uploads/"
+const DEFAULT_INCLUDE = ["**.pdf"]
+
+// ---------------- CONFIG ----------------
+function flagValue(argv, name) {
+  const index = argv.indexOf(name)
+  if (index !== -1) return argv[index + 1]
+  const inline = argv.find(arg => arg.startsWith(`${name}=`))
+  return inline ? inline.slice(name.length + 1) : undefined
+}
+
+const splitList = value => (value || "").split(",").map(v => v.trim()).filter(Boolean)
+
+export function listingConfig(argv = process.argv.slice(2), env = process.env) {
+  const include = splitList(flagValue(argv, "--include") ?? env.PDF_INCLUDE)
+  return {
+    bucket: flagValue(argv, "--bucket") || env.PDF_S3_BUCKET || DEFAULT_BUCKET,
+    prefix: flagValue(argv, "--prefix") ?? env.PDF_S3_PREFIX ?? DEFAULT_PREFIX,
+    include: include.length > 0 ? include : DEFAULT_INCLUDE,
+    exclude: splitList(flagValue(argv, "--exclude") ?? env.PDF_EXCLUDE),
+    dir: flagValue(argv, "--dir") || env.PDF_SOURCE_DIR || null
+  }
+}
+
+// ---------------- GLOBS ----------------
+export function globToRegExp(glob) {
+  let pattern = ""
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === "*" && glob[i + 1] === "*") {
+      pattern += ".*"
+      i++
+    } else if (char === "*") {
+      pattern += "[^/]*"
+    } else if (char === "?") {
+      pattern += "[^/]"
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    }
+  }
+  return new RegExp(`^${pattern}$`, "i")
+}
+
+// Split keys into the ones to process and the ones a glob filtered out
+export function filterKeys(keys, { include = DEFAULT_INCLUDE, exclude = [] } = {}) {
+  const includes = include.map(globToRegExp)
+  const excludes = exclude.map(globToRegExp)
+  const selected = []
+  const filtered = []
+
+  for (const key of keys) {
+    if (!includes.some(re => re.test(key))) {
+      filtered.push({ key, reason: "not included" })
+    } else if (excludes.some(re => re.test(key))) {
+      filtered.push({ key, reason: "excluded" })
+    } else {
+      selected.push(key)
+    }
+  }
+
+  return { selected, filtered }
+}
+
+// ---------------- LISTING ----------------
+// Follows ContinuationToken until S3 says the listing is no longer truncated
+export async function listObjectKeys(s3, { bucket, prefix }) {
+  const keys = []
+  let continuationToken
+  let pages = 0
+
+  do {
+    const response = await s3.send(new ListObjectsV2Command({
+      Bucket: bucket,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }))
+    keys.push(...(response.Contents || []).map(obj => obj.Key))
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined
+    pages++
+  } while (continuationToken)
+
+  return { keys, pages }
+}
+
+// ---------------- RUN MANIFEST ----------------
+// One ingestionRuns document per run, holding only counts, and one ingestionRunItems
+// document per key ({ runId, key, status, ... }). Every event is written as it
+// happens, so a crashed run still shows how far it got
+const INSERT_CHUNK = 1000
+
+export function createRunManifest(runsCollection, itemsCollection, { script, config }) {
+  const counts = { listed: 0, skipped: 0, processed: 0, failed: 0 }
+  let runId = null
+
+  const count = async (field, n = 1) => {
+    counts[field] += n
+    await runsCollection.updateOne({ _id: runId }, { $inc: { [`counts.${field}`]: n } })
+  }
+
+  const setStatus = async (key, status, details) => {
+    await itemsCollection.updateOne(
+      { runId, key },
+      { $set: { status, ...details, updatedAt: new Date() } },
+      { upsert: true }
+    )
+    await count(status)
+  }
+
+  const manifest = {
+    get runId() {
+      return runId
+    },
+    async start() {
+      await itemsCollection.createIndex({ runId: 1, key: 1 }, { unique: true, name: "run_key" })
+      const { insertedId } = await runsCollection.insertOne({
+        script,
+        ...config,
+        status: "running",
+        startedAt: new Date(),
+        finishedAt: null,
+        counts: { ...counts }
+      })
+      runId = insertedId
+      return manifest
+    },
+    async listed(keys) {
+      for (let i = 0; i < keys.length; i += INSERT_CHUNK) {
+        const now = new Date()
+        await itemsCollection.insertMany(
+          keys.slice(i, i + INSERT_CHUNK).map(key => ({ runId, key, status: "listed", updatedAt: now })),
+          { ordered: false }
+        )
+      }
+      if (keys.length > 0) await count("listed", keys.length)
+    },
+    skipped(key, reason) {
+      return setStatus(key, "skipped", { reason })
+    },
+    processed(key, details = {}) {
+      return setStatus(key, "processed", details)
+    },
+    failed(key, error) {
+      return setStatus(key, "failed", { error: error?.message || String(error) })
+    },
+    // Record whatever processing a key returned: { status: "skipped", reason } or details
+    record(key, outcome) {
+      if (outcome?.status === "skipped") return manifest.skipped(key, outcome.reason)
+      return manifest.processed(key, outcome || {})
+    },
+    async finish(status = "completed") {
+      await runsCollection.updateOne({ _id: runId }, { $set: { status, finishedAt: new Date() } })
+      return { ...counts }
+    }
+  }
+
+  return manifest
+}
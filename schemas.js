@@ -0,0 +1,210 @@
+import { z } from "zod"
+import { ObjectId } from "mongodb"
+
+// Shared document schemas for the ingestion scripts. Documents are validated
+// before every Mongo write; anything that fails goes to rejectedProducts.
+export const REJECTED_COLLECTION = "rejectedProducts"
+
+const objectId = z.instanceof(ObjectId)
+const nonEmpty = z.string().trim().min(1)
+
+// "1,234.50" -> 1234.5; empty values -> null. Anything else is left for the
+// number check to reject, so NaN-prone strings never reach the database.
+function toPrice(value) {
+  if (value === undefined || value === null || value === "") return null
+  if (typeof value === "string") {
+    const cleaned = value.replace(/[$€£¥\s]/g, "").replace(/,/g, "")
+    const price = Number(cleaned)
+    return cleaned !== "" && !isNaN(price) ? price : value
+  }
+  return value
+}
+
+// One shape for both sources; fields that don't apply to a source are null
+export const sourceRefSchema = z.object({
+  source: z.enum(["pdf_extract", "urdf_extract"]),
+  collection: z.enum(["pdfExtracts", "urdfExtracts"]),
+  source_id: objectId,
+  fileName: nonEmpty,
+  page: z.number().int().positive().nullable().default(null),
+  filePath: z.string().nullable().default(null),
+  componentType: z.string().nullable().default(null)
+}).passthrough()
+
+export const assetSchema = z.object({
+  bucket: nonEmpty,
+  key: nonEmpty,
+  sha256: z.string().regex(/^[a-f0-9]{64}$/),
+  size_bytes: z.number().int().nonnegative(),
+  source_url: z.string().nullable().default(null)
+}).passthrough()
+
+export const normSchema = z.object({
+  brand_norm: nonEmpty,
+  name_norm: nonEmpty,
+  name_tokens: z.array(z.string()),
+  aliases: z.array(z.string())
+})
+
+export const productSchema = z.object({
+  name: nonEmpty,
+  brand: nonEmpty,
+  product_type: nonEmpty,
+  sub_type: z.string().nullable().default(null),
+  bom_layer: z.string().nullable().default(null),
+  price: z.preprocess(toPrice, z.number().finite().nonnegative().nullable()),
+  si: nonEmpty,
+  s3Bucket: z.string().nullable().default(null),
+  s3Key: z.string().nullable().default(null),
+  part_number: z.string().nullable().default(null),
+  source_refs: z.array(sourceRefSchema).min(1),
+  raw: z.record(z.any()).default({}),
+  assets: z.array(assetSchema).default([]),
+  _norm: normSchema,
+  created_at: z.date(),
+  updated_at: z.date()
+}).passthrough()
+
+// Source of a hand edit made through PATCH /products/:id, kept in the edited fields'
+// provenance. It has no source document
+export const manualSourceRefSchema = z.object({
+  source: z.literal("manual"),
+  edited_by: nonEmpty.nullable().default(null),
+  note: z.string().nullable().default(null),
+  edited_at: z.date()
+})
+
+// Body of PATCH /products/:id: new values for any of the merge fields
+export const productEditSchema = z.object({
+  fields: productSchema
+    .pick({ product_type: true, sub_type: true, bom_layer: true, price: true, part_number: true })
+    .partial()
+    .strict()
+    .refine(fields => Object.keys(fields).length > 0, "at least one field is required"),
+  edited_by: nonEmpty.nullable().default(null),
+  note: z.string().nullable().default(null)
+})
+
+// Tables and key-value pairs reconstructed from the extraction blocks
+export const pageTableSchema = z.object({
+  rowCount: z.number().int().nonnegative(),
+  columnCount: z.number().int().nonnegative(),
+  rows: z.array(z.array(z.string()))
+}).passthrough()
+
+export const pageFormSchema = z.object({
+  key: nonEmpty,
+  value: z.string().nullable(),
+  confidence: z.number().nullable().default(null)
+}).passthrough()
+
+export const coverageSchema = z.object({
+  pagesReported: z.number().int().nonnegative(),
+  pagesWithText: z.number().int().nonnegative(),
+  missingPages: z.array(z.number().int().positive()),
+  ratio: z.number().min(0).max(1),
+  complete: z.boolean()
+})
+
+// A rendered page image, in the image bucket or on local disk
+export const pageImageSchema = z.object({
+  storage: z.enum(["s3", "local"]),
+  bucket: z.string().nullable().default(null),
+  key: nonEmpty,
+  sha256: z.string().regex(/^[a-f0-9]{64}$/),
+  size_bytes: z.number().int().nonnegative(),
+  width: z.number().int().positive(),
+  height: z.number().int().positive()
+})
+
+export const pagePreviewsSchema = z.object({
+  thumbnail: pageImageSchema,
+  preview: pageImageSchema
+})
+
+export const pdfExtractSchema = z.object({
+  fileName: nonEmpty,
+  s3Key: nonEmpty,
+  bucket: nonEmpty,
+  pages: z.number().int().positive(),
+  extractedText: z.string(),
+  pagesData: z.array(z.object({
+    page: z.number().int().positive(),
+    text: z.string(),
+    tables: z.array(pageTableSchema).default([]),
+    forms: z.array(pageFormSchema).default([]),
+    previews: pagePreviewsSchema.nullable().default(null)
+  }).passthrough()),
+  coverage: coverageSchema.optional(),
+  etag: z.string().nullable().default(null),
+  sizeBytes: z.number().int().nonnegative().nullable().default(null),
+  version: z.number().int().positive().default(1),
+  previousVersionId: objectId.nullable().default(null),
+  extractionBackend: z.string().nullable().default(null),
+  matchedProductsCount: z.number().int().nonnegative(),
+  createdAt: z.date()
+}).passthrough()
+
+export const urdfExtractSchema = z.object({
+  fileName: nonEmpty,
+  filePath: nonEmpty,
+  robotName: nonEmpty,
+  linksCount: z.number().int().nonnegative(),
+  jointsCount: z.number().int().nonnegative(),
+  materialsCount: z.number().int().nonnegative(),
+  sensorsCount: z.number().int().nonnegative(),
+  actuatorsCount: z.number().int().nonnegative(),
+  urdfData: z.record(z.any()),
+  formattedText: z.string(),
+  matchedProductsCount: z.number().int().nonnegative(),
+  createdAt: z.date()
+}).passthrough()
+
+// A product as a matcher returns it, before it is checked against the manifest
+export const matchedProductSchema = z.object({
+  name: nonEmpty,
+  brand: nonEmpty,
+  product_type: nonEmpty,
+  sub_type: z.string().nullable().default(null),
+  bom_layer: z.string().nullable().default(null),
+  vendor_name: z.string().nullable().default(null),
+  price: z.preprocess(toPrice, z.number().finite().nonnegative().nullable()).default(null),
+  page: z.number().int().positive().nullable().default(null),
+  component_type: z.string().nullable().default(null)
+}).passthrough()
+
+// Returns { success: true, data } with defaults applied, or { success: false, errors }
+export function validateDocument(schema, doc) {
+  const result = schema.safeParse(doc)
+  if (result.success) {
+    return { success: true, data: result.data }
+  }
+  return {
+    success: false,
+    errors: result.error.issues.map(issue => ({
+      path: issue.path.join("."),
+      code: issue.code,
+      message: issue.message
+    }))
+  }
+}
+
+export function formatValidationErrors(errors) {
+  return errors.map(err => `${err.path || "(root)"}: ${err.message}`).join("; ")
+}
+
+// Keep a failed document with its validation errors so it can be fixed and re-ingested
+// `reason` says which check failed: "validation" for these schemas, "invalid_output" for
+// malformed matcher output, "hallucination_guard" for matches the manifest or the cited
+// page doesn't back up
+export async function recordRejection(rejectedCollection, { target, source, fileName, document, errors, reason = "validation" }) {
+  await rejectedCollection.insertOne({
+    target,
+    source,
+    reason,
+    fileName: fileName || null,
+    document,
+    errors,
+    rejected_at: new Date()
+  })
+}
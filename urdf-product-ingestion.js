@@ -2,27 +2,24 @@ import dotenv from "dotenv"
 import fs from "fs"
 import path from "path"
 import { XMLParser } from "fast-xml-parser"
-import { MongoClient, ObjectId } from "mongodb"
-import OpenAI from "openai"
+import { ObjectId } from "mongodb"
+import { connectDB, getDB, closeDB, INGEST_DB_NAME } from "./db.js"
+import {
+  productSchema,
+  urdfExtractSchema,
+  validateDocument,
+  formatValidationErrors,
+  recordRejection,
+  REJECTED_COLLECTION
+} from "./schemas.js"
+import { createMatcherProvider, guardMatchedProduct, productMatchSchema } from "./llm-matcher.js"
+import { normalizeProductData, upsertProduct, ensureProductIndexes, CONFLICTS_COLLECTION } from "./product-store.js"
 
 dotenv.config()
 
 // ---------------- CONFIG ----------------
-const MONGO_URI = process.env.MONGO_URI
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY
-const OPENAI_MODEL = process.env.OPENAI_MODEL || "gpt-4o"
 const URDF_FOLDER = process.env.URDF_FOLDER || "./URDF"
 
-// Validate required environment variables
-if (!OPENAI_API_KEY) {
-  console.error("❌ OPENAI_API_KEY is required")
-  process.exit(1)
-}
-if (!MONGO_URI) {
-  console.error("❌ MONGO_URI is required")
-  process.exit(1)
-}
-
 const BATCH_SIZE = 3
 
 // ---------------- LOGGER ----------------
@@ -34,10 +31,14 @@ const log = {
 }
 
 // ---------------- CLIENTS ----------------
-const mongo = new MongoClient(MONGO_URI)
-const openai = new OpenAI({
-  apiKey: OPENAI_API_KEY
-})
+let matcher
+try {
+  matcher = createMatcherProvider()
+  log.info(`Product matcher: ${matcher.name}${matcher.model ? ` (${matcher.model})` : ""}`)
+} catch (err) {
+  log.error(err.message)
+  process.exit(1)
+}
 
 // ---------------- LOAD MANIFEST ----------------
 let manifest
@@ -63,9 +64,6 @@ try {
   process.exit(1)
 }
 
-// ---------------- HELPERS ----------------
-const sleep = ms => new Promise(r => setTimeout(r, ms))
-
 // ---------------- URDF PARSING ----------------
 function parseURDFFile(filePath) {
   try {
@@ -247,19 +245,20 @@ function formatURDFForLLM(urdfData) {
   return parts.join("\n")
 }
 
-// ---------------- OPENAI PRODUCT MATCHING ----------------
-async function matchURDFProductsWithOpenAI(urdfText, manifest, retryCount = 0) {
-  const MAX_RETRIES = 3
-  
-  try {
-    if (!urdfText || urdfText.trim().length === 0) {
-      log.warn("Empty URDF text provided to OpenAI matching")
-      return []
-    }
+// ---------------- PRODUCT MATCHING ----------------
+const URDF_MATCH_SCHEMA = productMatchSchema({
+  component_type: { type: "string", enum: ["robot", "link", "joint", "sensor", "actuator", "material"] }
+})
 
-    log.info("Sending URDF data and manifest to OpenAI for product matching...")
-    
-    const prompt = `You are an expert at identifying industrial automation products from URDF (Unified Robot Description Format) files.
+async function matchURDFProducts(urdfText, manifest) {
+  if (!urdfText || urdfText.trim().length === 0) {
+    log.warn("Empty URDF text provided to product matching")
+    return []
+  }
+
+  log.info(`Sending URDF data and manifest to the ${matcher.name} matcher...`)
+
+  const prompt = `You are an expert at identifying industrial automation products from URDF (Unified Robot Description Format) files.
 
 Analyze the following URDF robot description and match it against the provided product manifest.
 
@@ -300,122 +299,7 @@ Return a JSON object with a "products" array containing matched products. Each p
 Only return products that have a clear match. Return {"products": []} if no matches are found.
 Return ONLY valid JSON, no additional text or markdown.`
 
-    const completion = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
-      messages: [
-        {
-          role: "system",
-          content: "You are a precise product matching assistant. Always return valid JSON with a 'products' array."
-        },
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.1,
-      max_tokens: 4000
-    })
-
-    const content = completion.choices[0]?.message?.content
-    if (!content) {
-      log.warn("OpenAI returned empty response")
-      return []
-    }
-
-    // Try to parse the response
-    let parsed
-    try {
-      parsed = JSON.parse(content)
-      // Handle case where OpenAI returns { products: [...] } or just the array
-      if (Array.isArray(parsed)) {
-        return parsed
-      } else if (parsed.products && Array.isArray(parsed.products)) {
-        return parsed.products
-      } else if (parsed.matches && Array.isArray(parsed.matches)) {
-        return parsed.matches
-      } else {
-        // Try to find any array in the response
-        const arrayKeys = Object.keys(parsed).filter(k => Array.isArray(parsed[k]))
-        if (arrayKeys.length > 0) {
-          return parsed[arrayKeys[0]]
-        }
-        log.warn("OpenAI response doesn't contain expected array structure")
-        return []
-      }
-    } catch (parseError) {
-      log.error(`Failed to parse OpenAI response: ${parseError.message}`)
-      log.error(`Response content: ${content.substring(0, 500)}`)
-      return []
-    }
-  } catch (error) {
-    // Handle rate limiting
-    if (error.status === 429) {
-      const retryAfter = error.headers?.['retry-after'] || 60
-      log.warn(`OpenAI rate limit hit, waiting ${retryAfter} seconds...`)
-      await sleep(retryAfter * 1000)
-      if (retryCount < MAX_RETRIES) {
-        return await matchURDFProductsWithOpenAI(urdfText, manifest, retryCount + 1)
-      }
-      log.error("Max retries reached for rate limit")
-      return []
-    } 
-    // Handle server errors
-    else if (error.status === 500 || error.status === 503) {
-      log.warn(`OpenAI server error (${error.status}), retrying in 10 seconds...`)
-      await sleep(10000)
-      if (retryCount < MAX_RETRIES) {
-        return await matchURDFProductsWithOpenAI(urdfText, manifest, retryCount + 1)
-      }
-      log.error("Max retries reached for server error")
-      return []
-    }
-    // Handle other errors
-    else {
-      log.error(`OpenAI API error: ${error.message}`)
-      if (error.status) {
-        log.error(`Status code: ${error.status}`)
-      }
-      return []
-    }
-  }
-}
-
-// ---------------- DATA NORMALIZATION ----------------
-function normalizeProductData(product) {
-  const brandNorm = (product.brand || "").toLowerCase().trim()
-  const nameNorm = (product.name || "").toLowerCase().trim()
-  
-  // Tokenize name (split by spaces, hyphens, underscores, etc.)
-  const nameTokens = nameNorm
-    .split(/[\s\-_]+/)
-    .filter(token => token.length > 0)
-  
-  // Generate aliases (variations of the name)
-  const aliases = []
-  if (nameNorm) {
-    aliases.push(nameNorm)
-    // Add version without spaces
-    aliases.push(nameNorm.replace(/\s+/g, ""))
-    // Add version with hyphens
-    aliases.push(nameNorm.replace(/\s+/g, "-"))
-    // Add version with underscores
-    aliases.push(nameNorm.replace(/\s+/g, "_"))
-    // Add product type combinations
-    if (product.product_type) {
-      aliases.push(`${nameNorm} ${product.product_type.toLowerCase()}`)
-    }
-  }
-  
-  // Remove duplicates
-  const uniqueAliases = [...new Set(aliases)]
-  
-  return {
-    brand_norm: brandNorm,
-    name_norm: nameNorm,
-    name_tokens: nameTokens,
-    aliases: uniqueAliases
-  }
+  return matcher.matchProducts({ prompt, schema: URDF_MATCH_SCHEMA, text: urdfText, manifest })
 }
 
 // ---------------- MIGRATION: ADD SI FIELD ----------------
@@ -449,76 +333,6 @@ async function migrateSIField(productCollection) {
   }
 }
 
-// ---------------- DUPLICATE CHECKING ----------------
-async function checkDuplicate(productCollection, product) {
-  try {
-    const normFields = normalizeProductData(product)
-    
-    // Query by normalized name and brand
-    const existing = await productCollection.findOne({
-      "_norm.name_norm": normFields.name_norm,
-      "_norm.brand_norm": normFields.brand_norm
-    })
-    
-    return existing
-  } catch (error) {
-    log.error(`Error checking duplicate: ${error.message}`)
-    return null
-  }
-}
-
-// ---------------- UPSERT PRODUCT ----------------
-async function upsertProduct(productCollection, productDoc) {
-  try {
-    // Check for duplicate
-    const existing = await checkDuplicate(productCollection, productDoc)
-    
-    if (existing) {
-      // Update existing product (preserve existing data, only update fields)
-      const updateDoc = {
-        $set: {
-          updated_at: new Date(),
-          // Only update fields that are provided and not null
-          ...(productDoc.product_type && { product_type: productDoc.product_type }),
-          ...(productDoc.sub_type && { sub_type: productDoc.sub_type }),
-          ...(productDoc.price !== null && productDoc.price !== undefined && { price: productDoc.price }),
-          ...(productDoc.si && { si: productDoc.si })
-        },
-        // Add to source_refs array if not already present
-        $addToSet: {
-          source_refs: { $each: productDoc.source_refs || [] }
-        }
-      }
-      
-      const result = await productCollection.updateOne(
-        { _id: existing._id },
-        updateDoc
-      )
-      
-      if (result.modifiedCount > 0) {
-        log.success(`Updated existing product: ${productDoc.name} (${productDoc.brand})`)
-        return { updated: true, id: existing._id }
-      } else {
-        log.info(`Product already exists (no changes): ${productDoc.name} (${productDoc.brand})`)
-        return { updated: false, id: existing._id }
-      }
-    } else {
-      // Insert new product
-      const result = await productCollection.insertOne(productDoc)
-      
-      if (!result.acknowledged) {
-        throw new Error("Product document insertion was not acknowledged by MongoDB")
-      }
-      
-      log.success(`Inserted new product: ${productDoc.name} (${productDoc.brand})`)
-      return { inserted: true, id: result.insertedId }
-    }
-  } catch (error) {
-    log.error(`Error upserting product: ${error.message}`)
-    throw error
-  }
-}
-
 // ---------------- LIST URDF FILES ----------------
 function listURDFFiles() {
   const urdfDir = path.resolve(URDF_FOLDER)
@@ -540,7 +354,7 @@ function listURDFFiles() {
 }
 
 // ---------------- PROCESS SINGLE URDF FILE ----------------
-async function processURDF(filePath, urdfCollection, productCollection) {
+async function processURDF(filePath, urdfCollection, productCollection, rejectedCollection, conflictCollection) {
   const fileName = path.basename(filePath)
 
   // Check if already processed
@@ -561,11 +375,11 @@ async function processURDF(filePath, urdfCollection, productCollection) {
     const urdfText = formatURDFForLLM(urdfData)
     log.info(`Formatted URDF text length: ${urdfText.length} characters`)
 
-    // Match products using OpenAI
-    log.info("Calling OpenAI for product matching...")
-    const matchedProducts = await matchURDFProductsWithOpenAI(urdfText, manifest)
+    // Match products with the configured matcher
+    log.info(`Calling ${matcher.name} matcher for product matching...`)
+    const matchedProducts = await matchURDFProducts(urdfText, manifest)
     
-    log.info(`OpenAI matched ${matchedProducts.length} product(s)`)
+    log.info(`Matcher returned ${matchedProducts.length} product(s)`)
     if (matchedProducts.length > 0) {
       log.info(`Sample matched products: ${JSON.stringify(matchedProducts.slice(0, 2), null, 2)}`)
     }
@@ -586,8 +400,20 @@ async function processURDF(filePath, urdfCollection, productCollection) {
       createdAt: new Date()
     }
     
+    const urdfValidation = validateDocument(urdfExtractSchema, urdfDoc)
+    if (!urdfValidation.success) {
+      await recordRejection(rejectedCollection, {
+        target: "urdfExtracts",
+        source: "urdf_extract",
+        fileName,
+        document: urdfDoc,
+        errors: urdfValidation.errors
+      })
+      throw new Error(`URDF document failed validation: ${formatValidationErrors(urdfValidation.errors)}`)
+    }
+
     log.info(`Inserting URDF document into MongoDB...`)
-    const urdfInsertResult = await urdfCollection.insertOne(urdfDoc)
+    const urdfInsertResult = await urdfCollection.insertOne(urdfValidation.data)
     const urdfId = urdfInsertResult.insertedId
 
     if (!urdfInsertResult.acknowledged) {
@@ -600,15 +426,27 @@ async function processURDF(filePath, urdfCollection, productCollection) {
     let savedCount = 0
     let updatedCount = 0
     let failedCount = 0
+    let conflictCount = 0
+    let rejectedCount = 0
     
-    for (const product of matchedProducts) {
+    for (const match of matchedProducts) {
       try {
-        // Validate product data
-        if (!product.name || !product.brand) {
-          log.warn(`Skipping product with missing name or brand: ${JSON.stringify(product)}`)
-          failedCount++
+        // Reject matches the manifest doesn't back up
+        const guard = guardMatchedProduct(match, manifest)
+        if (!guard.success) {
+          await recordRejection(rejectedCollection, {
+            target: "products",
+            source: "urdf_extract",
+            fileName,
+            document: match,
+            errors: guard.errors,
+            reason: guard.reason
+          })
+          log.warn(`Rejected match ${match.name || "unknown"}: ${formatValidationErrors(guard.errors)}`)
+          rejectedCount++
           continue
         }
+        const product = guard.data
 
         // Generate normalized fields
         const normFields = normalizeProductData(product)
@@ -619,15 +457,17 @@ async function processURDF(filePath, urdfCollection, productCollection) {
           brand: product.brand,
           product_type: product.product_type || null,
           sub_type: product.sub_type || null,
+          bom_layer: product.bom_layer || null,
           price: product.price || null,
           si: "registered",
+          s3Bucket: null,
           s3Key: null, // URDF files are local
-          s3Link: null,
           source_refs: [{
             source: "urdf_extract",
             collection: "urdfExtracts",
             source_id: urdfId,
             fileName: fileName,
+            page: null,
             filePath: urdfData.filePath,
             componentType: product.component_type || null
           }],
@@ -644,18 +484,33 @@ async function processURDF(filePath, urdfCollection, productCollection) {
           updated_at: new Date()
         }
 
+        const validation = validateDocument(productSchema, productDoc)
+        if (!validation.success) {
+          await recordRejection(rejectedCollection, {
+            target: "products",
+            source: "urdf_extract",
+            fileName,
+            document: productDoc,
+            errors: validation.errors
+          })
+          log.warn(`Rejected product ${product.name}: ${formatValidationErrors(validation.errors)}`)
+          failedCount++
+          continue
+        }
+
         // Upsert product document into products collection
         log.info(`Upserting product: ${product.name} (${product.brand}) into products collection...`)
-        const result = await upsertProduct(productCollection, productDoc)
+        const result = await upsertProduct(productCollection, validation.data, { conflictCollection })
         
         if (result.inserted) {
           savedCount++
         } else if (result.updated) {
           updatedCount++
         }
+        conflictCount += result.conflicts
       } catch (productError) {
         failedCount++
-        log.error(`Failed to save product ${product.name || "unknown"}: ${productError.message}`)
+        log.error(`Failed to save product ${match.name || "unknown"}: ${productError.message}`)
         if (productError.stack) {
           log.error(`Stack trace: ${productError.stack}`)
         }
@@ -672,6 +527,12 @@ async function processURDF(filePath, urdfCollection, productCollection) {
     if (failedCount > 0) {
       log.warn(`Failed to save ${failedCount} product(s) from ${fileName}`)
     }
+    if (rejectedCount > 0) {
+      log.warn(`Rejected ${rejectedCount} match(es) from ${fileName}, see ${REJECTED_COLLECTION}`)
+    }
+    if (conflictCount > 0) {
+      log.warn(`Logged ${conflictCount} field conflict(s) from ${fileName} to ${CONFLICTS_COLLECTION}`)
+    }
 
     if (matchedProducts.length === 0) {
       log.warn(`No products matched for ${fileName} - URDF metadata still saved`)
@@ -687,7 +548,7 @@ async function processURDF(filePath, urdfCollection, productCollection) {
 }
 
 // ---------------- BATCH PROCESSOR ----------------
-async function processInBatches(files, urdfCollection, productCollection) {
+async function processInBatches(files, urdfCollection, productCollection, rejectedCollection, conflictCollection) {
   let totalProcessed = 0
   let totalFailed = 0
 
@@ -700,7 +561,7 @@ async function processInBatches(files, urdfCollection, productCollection) {
 
     const results = await Promise.allSettled(
       batch.map(filePath =>
-        processURDF(filePath, urdfCollection, productCollection).catch(err => {
+        processURDF(filePath, urdfCollection, productCollection, rejectedCollection, conflictCollection).catch(err => {
           log.error(`${filePath} → ${err.message}`)
           if (err.stack) {
             log.error(`Stack: ${err.stack}`)
@@ -728,17 +589,19 @@ async function processInBatches(files, urdfCollection, productCollection) {
 async function ingestAllURDFs() {
   try {
     log.info("Connecting to MongoDB...")
-    await mongo.connect()
-    await mongo.db("admin").command({ ping: 1 })
-    log.success("MongoDB connected")
+    await connectDB()
   } catch (err) {
     log.error(`MongoDB connection failed: ${err.message}`)
     process.exit(1)
   }
 
-  const db = mongo.db("inggestData")
+  const db = getDB(INGEST_DB_NAME)
   const urdfCollection = db.collection("urdfExtracts")
   const productCollection = db.collection("products")
+  const rejectedCollection = db.collection(REJECTED_COLLECTION)
+  const conflictCollection = db.collection(CONFLICTS_COLLECTION)
+
+  await ensureProductIndexes(productCollection)
 
   // Run migration to add si field to existing products
   await migrateSIField(productCollection)
@@ -748,18 +611,19 @@ async function ingestAllURDFs() {
 
   if (urdfFiles.length === 0) {
     log.warn("No URDF files found. Exiting.")
-    await mongo.close()
+    await closeDB()
     return
   }
 
-  await processInBatches(urdfFiles, urdfCollection, productCollection)
+  await processInBatches(urdfFiles, urdfCollection, productCollection, rejectedCollection, conflictCollection)
   
   // Log summary
   const urdfCount = await urdfCollection.countDocuments()
   const productCount = await productCollection.countDocuments()
   log.info(`Database summary: ${urdfCount} URDF document(s), ${productCount} product document(s)`)
+  log.info(`Matcher usage (${matcher.name}): ${matcher.usage.requests} request(s), ${matcher.usage.totalTokens} token(s) (${matcher.usage.promptTokens} prompt, ${matcher.usage.completionTokens} completion)`)
 
-  await mongo.close()
+  await closeDB()
   log.success("All URDF files processed successfully")
 }
 